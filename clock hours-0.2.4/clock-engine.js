@@ -0,0 +1,832 @@
+// =================================================================
+// SHARED CLOCK ENGINE
+// =================================================================
+// Caching, scheduling and drawing logic for every clock extension. Each
+// service worker loads it with importScripts() (after time-utils.js,
+// settings-schema.js, clock-scheduler.js and icon-store.js) and configures it
+// with the unit it displays, e.g.:
+//
+//     ClockEngine.configure({ unit: "hours" });
+//
+// The options page loads it too, unconfigured, to draw its preview with
+// CLOCK_UNITS and getIcon().
+
+/**
+ * Describes how each supported unit is turned into icon text.
+ * `parts` are the wall-clock fields of the configured time zone (see getZonedTimeParts).
+ * `getBoundaryStepMs` says how finely findNextChange() searches for the next change.
+ * Units with `supportsCombined` can also show the minute (HH:MM) in one icon, or
+ * draw a clock face.
+ * `getAllTexts` lists every text the unit can show with the given settings; that set is
+ * drawn in one batch and persisted (see icon-store.js), or drawn one icon at a time
+ * when it returns null. Units with a `tickIntervalMs` are driven by a timer in the offscreen document
+ * because alarms can't fire more often than every 30 seconds.
+ * `progressSpans` lists what the progress ring can fill up through (see getProgress),
+ * and `badgeContents` what the badge can show (see getBadgeText).
+ * @type {Object<string, object>}
+ */
+const CLOCK_UNITS = {
+    hours: {
+        alarmName: "update-clock-hour",
+        maxCacheSize: 50,
+        textAlign: "right",
+        supportsCombined: true,
+        getText(parts, settings) {
+            if (settings.displayMode === "analog") {
+                // Only the hand positions matter, rounded down to the granularity.
+                const minute = parts.minute - parts.minute % settings.analogGranularity;
+                return (parts.hour % 12) + ":" + String(minute).padStart(2, '0');
+            }
+            let hours = parts.hour;
+            if (!settings.use24HourFormat) {
+                hours = hours % 12 || 12;
+            }
+            let text = hours.toString();
+            if (settings.showLeadingZero && hours < 10) {
+                text = '0' + hours;
+            }
+            if (settings.displayMode === "combined") {
+                return text + ":" + String(parts.minute).padStart(2, '0');
+            }
+            return text + ":";
+        },
+        getAllTexts(settings) {
+            // 1,440 HH:MM icons (or up to 720 clock faces) are too many to keep;
+            // those are drawn as needed.
+            if (settings.displayMode === "combined" || settings.displayMode === "analog") {
+                return null;
+            }
+            const texts = Array.from({ length: 24 }, (_, hour) => this.getText({ hour, minute: 0, second: 0 }, settings));
+            return [...new Set(texts)];
+        },
+        getBoundaryStepMs(settings) {
+            // Quarter hours, so zones with :30 and :45 offsets still tick on their own hour.
+            // Five minutes divides that too, so a coarse clock face stays aligned.
+            if (settings.displayMode === "analog") {
+                return settings.analogGranularity * 60 * 1000;
+            }
+            return settings.displayMode === "combined" ? 60 * 1000 : 15 * 60 * 1000;
+        },
+        progressSpans: ["day", "workday"],
+        badgeContents: ["ampm", "day", "week", "countdown"],
+    },
+    minutes: {
+        alarmName: "update-clock-minute",
+        maxCacheSize: 120, // Cache up to 2 hours of minute icons
+        textAlign: "left",
+        getText(parts) {
+            // Pad with a leading zero for single-digit minutes (e.g., "05").
+            return String(parts.minute).padStart(2, '0');
+        },
+        getAllTexts() {
+            return Array.from({ length: 60 }, (_, minute) => String(minute).padStart(2, '0'));
+        },
+        getBoundaryStepMs() {
+            return 60 * 1000;
+        },
+        progressSpans: ["hour"],
+        badgeContents: ["day", "week", "countdown"],
+    },
+    seconds: {
+        alarmName: "update-clock-second",
+        maxCacheSize: 120, // Room for a full set of 60 icons across a color change
+        textAlign: "left",
+        getText(parts) {
+            return String(parts.second).padStart(2, '0');
+        },
+        getAllTexts() {
+            return Array.from({ length: 60 }, (_, second) => String(second).padStart(2, '0'));
+        },
+        getBoundaryStepMs() {
+            return 1000;
+        },
+        tickIntervalMs: 1000,
+        progressSpans: ["minute"],
+        badgeContents: ["day", "week", "countdown"],
+    },
+};
+
+// The progress ring moves in this many steps, so a new icon is needed at most
+// this often per span (every 24 minutes for the day) rather than on every tick.
+const PROGRESS_STEPS = 60;
+
+// =================================================================
+// ICON CACHE
+// =================================================================
+
+class OptimizedIconCache {
+    constructor(maxSize = 50) {
+        this.maxSize = maxSize;
+        this.cache = new Map();
+        this.accessOrder = new Map();
+    }
+    /**
+     * Builds a key from the text and every drawing option, so an icon is only
+     * reused when it would be drawn identically.
+     * @param {string} text
+     * @param {object} style - The drawing options sent to the offscreen document.
+     */
+    generateCacheKey(text, style) {
+        const styleParts = Object.keys(style).sort().map(key => `${key}=${style[key]}`);
+        return [text, ...styleParts].join('|');
+    }
+    get(key) {
+        if (this.cache.has(key)) {
+            // Re-insert so the Map's iteration order tracks recency of use.
+            this.accessOrder.delete(key);
+            this.accessOrder.set(key, Date.now());
+            return this.cache.get(key);
+        }
+        return null;
+    }
+    set(key, value) {
+        if (this.cache.size >= this.maxSize && !this.cache.has(key)) {
+            let oldestKey = this.accessOrder.keys().next().value;
+            this.cache.delete(oldestKey);
+            this.accessOrder.delete(oldestKey);
+        }
+        this.cache.set(key, value);
+        this.accessOrder.delete(key);
+        this.accessOrder.set(key, Date.now());
+    }
+    has(key) { return this.cache.has(key); }
+    clear() { this.cache.clear(); this.accessOrder.clear(); }
+    get size() { return this.cache.size; }
+}
+
+// =================================================================
+// ENGINE
+// =================================================================
+
+const ClockEngine = {
+    unitName: null,
+    unit: null,
+    iconCache: null,
+    scheduler: null,
+    pendingDraws: new Map(),
+    pendingIconCallbacks: {},
+    creatingOffscreen: null, // Promise to prevent race conditions
+    settingsPromise: null, // Settings are re-read only after they change
+    colorScheme: null, // "light" or "dark", as last reported by the offscreen document
+    lastTickerTick: 0, // When the offscreen ticker last reported, in ms since the epoch
+
+    /**
+     * Configures the engine for one extension and registers its event listeners.
+     * Must be called synchronously at the top level of the service worker so the
+     * listeners are in place before Chrome dispatches the waking event.
+     * @param {object} options
+     * @param {string} options.unit - A key of CLOCK_UNITS, e.g. "hours", "minutes" or "seconds".
+     */
+    configure: function(options) {
+        const unit = CLOCK_UNITS[options.unit];
+        if (!unit) {
+            throw new Error(`Unknown clock unit: ${options.unit}`);
+        }
+        this.unitName = options.unit;
+        this.unit = unit;
+        this.iconCache = new OptimizedIconCache(unit.maxCacheSize);
+        this.scheduler = new ClockScheduler({
+            alarmName: unit.alarmName,
+            getState: async (date) => {
+                const display = await this.getDisplayState(date);
+                return { value: display.value, nextBoundary: display.nextBoundary };
+            },
+            render: () => this.updateClock(),
+            isTickerAlive: () => this.isTickerAlive(),
+        });
+        this.registerListeners();
+        // Top-level code runs on every service-worker wake, which is when a
+        // boundary missed during sleep or a clock change gets noticed.
+        this.scheduler.wake();
+        this.ensureTicker();
+        this.ensureThemeWatcher();
+    },
+
+    /**
+     * The settings in effect for this extension: its local overrides first,
+     * then the shared values.
+     */
+    loadSettings: function() {
+        if (!this.settingsPromise) {
+            this.settingsPromise = SettingsSchema.loadEffective().catch(error => {
+                this.settingsPromise = null;
+                throw error;
+            });
+        }
+        return this.settingsPromise;
+    },
+
+    /**
+     * Starts (or restarts) the offscreen ticker for units that change faster than
+     * alarms can fire. Safe to call repeatedly.
+     */
+    ensureTicker: async function() {
+        if (!this.unit.tickIntervalMs) {
+            return;
+        }
+        try {
+            await this.setupOffscreenDocument();
+            await chrome.runtime.sendMessage({
+                type: 'start-ticker',
+                target: 'offscreen',
+                intervalMs: this.unit.tickIntervalMs
+            });
+        } catch (error) {
+            console.error("Error starting the offscreen ticker:", error);
+        }
+    },
+
+    /**
+     * True while the offscreen ticker is reporting. Two missed intervals count
+     * as dead, and the scheduler falls back to alarms until it restarts.
+     */
+    isTickerAlive: function() {
+        return Boolean(this.unit.tickIntervalMs)
+            && Date.now() - this.lastTickerTick < 2 * this.unit.tickIntervalMs;
+    },
+
+    /**
+     * When the icon color follows the theme, makes sure the offscreen document
+     * is watching prefers-color-scheme. It reports the current scheme right
+     * away and again on every change.
+     */
+    ensureThemeWatcher: async function() {
+        try {
+            const settings = await this.loadSettings();
+            if (!settings.autoThemeColor) {
+                return;
+            }
+            await this.setupOffscreenDocument();
+            await chrome.runtime.sendMessage({ type: 'watch-color-scheme', target: 'offscreen' });
+        } catch (error) {
+            console.error("Error watching the color scheme:", error);
+        }
+    },
+
+    /**
+     * The browser's current color scheme. Kept in session storage so a restarted
+     * service worker can draw the right color before the offscreen document reports.
+     * @returns {Promise<"light"|"dark">}
+     */
+    getColorScheme: async function() {
+        if (!this.colorScheme) {
+            const { colorScheme } = await chrome.storage.session.get({ colorScheme: "light" });
+            this.colorScheme = colorScheme;
+        }
+        return this.colorScheme;
+    },
+
+    setColorScheme: async function(scheme) {
+        if (scheme !== "light" && scheme !== "dark") {
+            return;
+        }
+        const previous = await this.getColorScheme();
+        this.colorScheme = scheme;
+        if (scheme !== previous) {
+            await chrome.storage.session.set({ colorScheme: scheme });
+            this.scheduler.tick("color-scheme");
+        }
+    },
+
+    /**
+     * Returns the drawing options for the offscreen document: the color, text
+     * alignment and layout ("single", or "stacked"/"side-by-side" for HH:MM),
+     * the font, plus the background shape when there is one. Every option ends
+     * up in the cache key. A clock face gets its own options instead (see
+     * getAnalogStyle).
+     * @param {object} settings
+     * @param {"light"|"dark"} colorScheme - Picks the color when it follows the theme.
+     * @returns {{color: string, align: string, layout: string, shape?: string}}
+     */
+    getIconStyle: function(settings, colorScheme) {
+        let color = settings.useCustomColor ? settings.customColor : "black";
+        if (settings.autoThemeColor) {
+            color = colorScheme === "dark" ? settings.darkThemeColor : settings.lightThemeColor;
+        }
+        if (this.unit.supportsCombined && settings.displayMode === "analog") {
+            return this.getAnalogStyle(settings, color);
+        }
+        let style = { color, align: this.unit.textAlign, layout: "single" };
+        if (this.unit.supportsCombined && settings.displayMode === "combined") {
+            const layout = settings.combinedLayout === "side-by-side" ? "side-by-side" : "stacked";
+            style = { color, align: "center", layout };
+        }
+        const font = ICON_FONTS[settings.fontFamily] || ICON_FONTS.arial;
+        if (font.glyphs) {
+            style.glyphs = font.glyphs;
+        } else {
+            style.fontFamily = font.family;
+        }
+        style.fontWeight = settings.fontWeight;
+        style.fontStyle = settings.fontStyle;
+        style.fontStretch = settings.fontStretch;
+        if (settings.iconShape && settings.iconShape !== "none") {
+            style.shape = settings.iconShape;
+            style.shapeFill = settings.shapeFillColor;
+            style.shapeStroke = settings.shapeStrokeColor;
+            style.shapePadding = settings.shapePadding;
+        }
+        return style;
+    },
+
+    /**
+     * Drawing options for the clock face: tick marks, hand colors and, when the
+     * face is filled, the dial reuses the background shape colors.
+     * @param {object} settings
+     * @param {string} color - The clock color; used for the ticks and, by default, the hands.
+     * @returns {{color: string, align: string, layout: "analog", ticks: boolean, hourHand: string, minuteHand: string}}
+     */
+    getAnalogStyle: function(settings, color) {
+        const style = {
+            color,
+            align: "center",
+            layout: "analog",
+            ticks: settings.analogTicks,
+            hourHand: settings.analogHandsFollowColor ? color : settings.analogHourHandColor,
+            minuteHand: settings.analogHandsFollowColor ? color : settings.analogMinuteHandColor,
+        };
+        if (settings.analogFace) {
+            style.faceFill = settings.shapeFillColor;
+            style.faceStroke = settings.shapeStrokeColor;
+        }
+        return style;
+    },
+
+    /**
+     * The icon's text and drawing options for the given wall-clock fields. The
+     * options page draws its preview with this too.
+     * @param {object} parts - See getZonedTimeParts.
+     * @param {object} settings
+     * @param {"light"|"dark"} colorScheme
+     * @returns {{text: string, style: object}}
+     */
+    getIcon: function(parts, settings, colorScheme) {
+        const text = this.unit.getText(parts, settings);
+        const style = this.getIconStyle(settings, colorScheme);
+        const progress = this.getProgress(parts, settings);
+        if (progress !== null) {
+            style.progress = progress;
+            style.progressSteps = PROGRESS_STEPS;
+            style.ringColor = settings.progressRingColor;
+            style.ringWidth = settings.progressRingWidth;
+            style.ringStart = settings.progressRingStart;
+        }
+        return { text, style };
+    },
+
+    /**
+     * Works out what the icon should show at the given time.
+     * @param {Date} date
+     * @returns {Promise<{settings: object, text: string, style: object, badge: string,
+     *     cacheKey: string, value: string, nextBoundary: Date}>}
+     */
+    getDisplayState: async function(date) {
+        const settings = await this.loadSettings();
+        const parts = this.getDisplayParts(date, settings);
+        const { text, style } = this.getIcon(parts, settings, await this.getColorScheme());
+        const cacheKey = this.iconCache.generateCacheKey(text, style);
+        const badge = this.getBadgeText(parts, settings);
+        return {
+            settings,
+            text,
+            style,
+            badge,
+            cacheKey,
+            // Everything on display: the badge and tooltip can change while the
+            // icon doesn't, e.g. at midnight or when a world clock's minute ticks.
+            value: `${cacheKey}|${badge}|${this.getTitleMinute(parts, settings)}`,
+            nextBoundary: this.getNextBoundary(date, settings),
+        };
+    },
+
+    /**
+     * The tooltip lists world clocks to the minute, so with any configured it
+     * must be refreshed every minute even when the icon only changes hourly.
+     * @returns {string} The minute the tooltip shows, or "" when it has no world clocks.
+     */
+    getTitleMinute: function(parts, settings) {
+        const worldClocks = Array.isArray(settings.worldClocks) ? settings.worldClocks : [];
+        return worldClocks.length > 0 ? `${parts.hour}:${parts.minute}` : "";
+    },
+
+    setupOffscreenDocument: async function() {
+        try {
+            if (await chrome.offscreen.hasDocument()) {
+                return;
+            }
+            if (this.creatingOffscreen) {
+                await this.creatingOffscreen;
+            } else {
+                this.creatingOffscreen = chrome.offscreen.createDocument({
+                    url: 'offscreen.html',
+                    reasons: ['DOM_PARSER', 'MATCH_MEDIA'],
+                    justification: 'To draw the clock icon on a canvas and follow the light/dark theme.',
+                });
+                await this.creatingOffscreen;
+                this.creatingOffscreen = null;
+            }
+        } catch (error) {
+            this.creatingOffscreen = null;
+            console.error("Error setting up offscreen document:", error);
+        }
+    },
+
+    /**
+     * Sets the action title to the time in the configured zone, naming the zone
+     * when it differs from the browser's local time. Each entry of the user's
+     * world clock list adds one "Label: time" line below it.
+     */
+    updateTitle: async function(date, settings) {
+        const options = { hour12: !settings.use24HourFormat };
+        if (settings.timeZone && isValidTimeZone(settings.timeZone)) {
+            options.timeZone = settings.timeZone;
+            options.timeZoneName = "short";
+        }
+        const lines = [date.toLocaleTimeString([], options)];
+
+        const worldClocks = Array.isArray(settings.worldClocks) ? settings.worldClocks : [];
+        worldClocks.forEach(clock => {
+            if (!clock || !isValidTimeZone(clock.timeZone)) {
+                return;
+            }
+            const time = date.toLocaleTimeString([], {
+                hour12: !settings.use24HourFormat,
+                hour: "numeric",
+                minute: "2-digit",
+                timeZone: clock.timeZone || undefined,
+            });
+            lines.push(`${clock.label}: ${time}`);
+        });
+
+        await chrome.action.setTitle({ title: lines.join("\n") });
+    },
+
+    /**
+     * Returns what the badge shows at the given time, or "" for no badge.
+     * The countdown is to the next time the clock reads the target time; it
+     * shows "0m" during the target minute and starts over once it has passed.
+     * @param {{year: number, month: number, day: number, hour: number, minute: number}} parts
+     * @returns {string}
+     */
+    getBadgeText: function(parts, settings) {
+        if (!this.unit.badgeContents.includes(settings.badgeContent)) {
+            return "";
+        }
+        switch (settings.badgeContent) {
+            case "ampm":
+                return settings.use24HourFormat ? "" : parts.hour < 12 ? "AM" : "PM";
+            case "day":
+                return String(parts.day);
+            case "week":
+                return "W" + getIsoWeek(parts.year, parts.month, parts.day);
+            case "countdown": {
+                const minuteOfDay = parts.hour * 60 + parts.minute;
+                const remaining = (settings.badgeTarget - minuteOfDay + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+                // The badge only fits about four characters.
+                return remaining < 100 ? `${remaining}m` : `${Math.floor(remaining / 60)}h`;
+            }
+        }
+        return "";
+    },
+
+    /**
+     * Shows the badge text in the configured colors, or clears the badge.
+     * @param {string} text - From getBadgeText.
+     */
+    updateBadge: async function(text, settings) {
+        await chrome.action.setBadgeText({ text });
+        if (!text) {
+            return;
+        }
+        await chrome.action.setBadgeBackgroundColor({ color: settings.badgeBackgroundColor });
+        // Chrome 110 and later; older versions pick a readable text color themselves.
+        if (chrome.action.setBadgeTextColor) {
+            await chrome.action.setBadgeTextColor({ color: settings.badgeTextColor });
+        }
+    },
+
+    /**
+     * Returns the wall-clock fields to display, falling back to local time
+     * if the stored zone is no longer known to the browser.
+     */
+    getDisplayParts: function(date, settings) {
+        const timeZone = isValidTimeZone(settings.timeZone) ? settings.timeZone : "";
+        return getZonedTimeParts(date, timeZone);
+    },
+
+    /**
+     * Returns how far the progress ring is filled, in steps of PROGRESS_STEPS,
+     * or null when this unit shows no ring. Outside the workday the ring is empty.
+     * @param {{hour: number, minute: number, second: number}} parts
+     * @returns {?number} 0 to PROGRESS_STEPS.
+     */
+    getProgress: function(parts, settings) {
+        const span = settings.progressRing;
+        if (!this.unit.progressSpans.includes(span)) {
+            return null;
+        }
+        const secondOfDay = (parts.hour * 60 + parts.minute) * 60 + parts.second;
+        let fraction;
+        switch (span) {
+            case "minute":
+                fraction = parts.second / 60;
+                break;
+            case "hour":
+                fraction = (parts.minute * 60 + parts.second) / 3600;
+                break;
+            case "day":
+                fraction = secondOfDay / 86400;
+                break;
+            case "workday": {
+                // A workday that ends before it starts runs overnight.
+                const length = (settings.workdayEnd - settings.workdayStart + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY;
+                const elapsed = (secondOfDay / 60 - settings.workdayStart + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+                fraction = elapsed < length ? elapsed / length : 0;
+                break;
+            }
+        }
+        return Math.floor(fraction * PROGRESS_STEPS);
+    },
+
+    /**
+     * Returns the next instant the icon text (or the progress ring, badge or tooltip) changes,
+     * stepping through real time so DST transitions and zone offsets are handled
+     * (see findNextChange).
+     */
+    getNextBoundary: function(date, settings) {
+        const timeZone = isValidTimeZone(settings.timeZone) ? settings.timeZone : "";
+        const valueAt = (instant) => {
+            const parts = getZonedTimeParts(instant, timeZone);
+            return [
+                this.unit.getText(parts, settings),
+                this.getProgress(parts, settings),
+                this.getBadgeText(parts, settings),
+                this.getTitleMinute(parts, settings),
+            ].join("|");
+        };
+        let stepMs = this.unit.getBoundaryStepMs(settings);
+        if (this.unit.progressSpans.includes(settings.progressRing)
+            || this.unit.badgeContents.includes(settings.badgeContent)
+            || (Array.isArray(settings.worldClocks) && settings.worldClocks.length > 0)) {
+            // Ring steps, badge and tooltip changes don't line up with the text's boundaries.
+            stepMs = Math.min(stepMs, 60 * 1000);
+        }
+        return findNextChange(date, valueAt, stepMs);
+    },
+
+    /**
+     * Asks the offscreen document to draw an icon and waits for the 'icon-drawn' reply.
+     * @returns {Promise<Object<number, ImageData>>} The icon at every size (see ICON_SIZES).
+     */
+    drawIcon: function(text, style, cacheKey) {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                delete this.pendingIconCallbacks[cacheKey];
+                reject(new Error('Icon drawing timed out after 5 seconds'));
+            }, 5000); // 5-second timeout
+
+            this.pendingIconCallbacks[cacheKey] = {
+                resolve: (imageData) => {
+                    clearTimeout(timeout);
+                    resolve(imageData);
+                },
+                reject: (err) => {
+                    clearTimeout(timeout);
+                    reject(err);
+                },
+            };
+
+            chrome.runtime.sendMessage({
+                type: 'draw-icon',
+                target: 'offscreen',
+                data: { text, ...style, cacheKey }
+            }).catch(err => {
+                // This catch is important if the offscreen document is closed or invalid
+                this.pendingIconCallbacks[cacheKey]?.reject(new Error(`Failed to send message to offscreen: ${err.message}`));
+                delete this.pendingIconCallbacks[cacheKey];
+            });
+        });
+    },
+
+    /**
+     * Identifies the settings combination a persisted icon set was drawn for.
+     */
+    getIconSetSignature: function(style) {
+        return `${this.unitName}|${this.iconCache.generateCacheKey("", style)}`;
+    },
+
+    /**
+     * Makes sure every icon of the unit (e.g. all 24 hours or 60 minutes) for the
+     * current settings is in the memory cache. Icons come from chrome.storage.local
+     * when possible; only missing ones are drawn, in a single round trip to the
+     * offscreen document, after which the whole set is persisted again. Boundary
+     * ticks after a service-worker restart therefore never need the offscreen document.
+     * @param {string[]} texts - Every text the unit can show (from getAllTexts).
+     * @param {object} style - The drawing options.
+     */
+    ensureIconSet: async function(texts, style) {
+        const cacheKeys = texts.map(text => this.iconCache.generateCacheKey(text, style));
+        if (cacheKeys.every(cacheKey => this.iconCache.has(cacheKey))) {
+            return;
+        }
+
+        const signature = this.getIconSetSignature(style);
+        const storedIcons = await IconStore.load(signature);
+        storedIcons.forEach((imageData, cacheKey) => this.iconCache.set(cacheKey, imageData));
+
+        const items = texts
+            .map((text, index) => ({ text, cacheKey: cacheKeys[index] }))
+            .filter(item => !this.iconCache.has(item.cacheKey));
+        if (items.length === 0) {
+            return;
+        }
+
+        await this.setupOffscreenDocument();
+        const batchKey = `batch|${Date.now()}`;
+        const icons = await this.drawIconBatch(items, style, batchKey);
+        icons.forEach(icon => this.iconCache.set(icon.cacheKey, icon.imageData));
+
+        const iconSet = new Map();
+        cacheKeys.forEach(cacheKey => {
+            if (this.iconCache.has(cacheKey)) {
+                iconSet.set(cacheKey, this.iconCache.get(cacheKey));
+            }
+        });
+        await IconStore.save(signature, iconSet);
+    },
+
+    /**
+     * Batch counterpart of drawIcon(); resolves with [{cacheKey, imageData}].
+     * @returns {Promise<{cacheKey: string, imageData: Object<number, ImageData>}[]>}
+     */
+    drawIconBatch: function(items, style, batchKey) {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                delete this.pendingIconCallbacks[batchKey];
+                reject(new Error('Icon batch drawing timed out after 10 seconds'));
+            }, 10000);
+
+            this.pendingIconCallbacks[batchKey] = {
+                resolve: (icons) => {
+                    clearTimeout(timeout);
+                    resolve(icons);
+                },
+                reject: (err) => {
+                    clearTimeout(timeout);
+                    reject(err);
+                },
+            };
+
+            chrome.runtime.sendMessage({
+                type: 'draw-icon-batch',
+                target: 'offscreen',
+                data: { items, ...style, cacheKey: batchKey }
+            }).catch(err => {
+                this.pendingIconCallbacks[batchKey]?.reject(new Error(`Failed to send message to offscreen: ${err.message}`));
+                delete this.pendingIconCallbacks[batchKey];
+            });
+        });
+    },
+
+    /**
+     * Main clock update logic: draws (or reuses) the icon for the current value
+     * and refreshes the title and badge. Falls back to the static icon if drawing fails.
+     * Scheduling is left to the ClockScheduler, which calls this.
+     * @returns {Promise<?string>} The value now on display (see getDisplayState),
+     *     or null on failure.
+     */
+    updateClock: async function() {
+        try {
+            const date = new Date();
+            const { settings, text: textToDraw, style, badge, cacheKey, value: displayed } = await this.getDisplayState(date);
+            await this.updateBadge(badge, settings);
+
+            const cachedIcon = this.iconCache.get(cacheKey);
+            if (cachedIcon) {
+                await chrome.action.setIcon({ imageData: cachedIcon });
+                await this.updateTitle(date, settings);
+                return displayed;
+            }
+
+            if (this.pendingDraws.has(cacheKey)) {
+                return await this.pendingDraws.get(cacheKey);
+            }
+
+            const drawPromise = (async () => {
+                try {
+                    let imageData;
+                    // With a progress ring every icon depends on more than its
+                    // text, so they are drawn one at a time as the ring moves.
+                    const allTexts = style.progress === undefined ? this.unit.getAllTexts(settings) : null;
+                    if (allTexts) {
+                        await this.ensureIconSet(allTexts, style);
+                        imageData = this.iconCache.get(cacheKey);
+                    } else {
+                        await this.setupOffscreenDocument();
+                        imageData = await this.drawIcon(textToDraw, style, cacheKey);
+                    }
+                    if (!imageData) {
+                        return null;
+                    }
+                    this.iconCache.set(cacheKey, imageData);
+                    await chrome.action.setIcon({ imageData });
+                    await this.updateTitle(date, settings);
+                    return displayed;
+                } catch (drawError) {
+                    console.error("Draw operation failed:", drawError.message);
+                    // **Fallback:** On failure, use the black icon to indicate an error.
+                    await chrome.action.setIcon({ path: "icon16.png" });
+                    await this.updateTitle(new Date(), settings);
+                    return null;
+                }
+            })();
+
+            this.pendingDraws.set(cacheKey, drawPromise);
+
+            try {
+                return await drawPromise;
+            } finally {
+                this.pendingDraws.delete(cacheKey);
+            }
+
+        } catch (error) {
+            console.error("Error updating clock:", error);
+            return null;
+        }
+    },
+
+    initialize: function() {
+        console.log(`Clock engine initializing (${this.unitName})...`);
+        this.scheduler.tick("initialize", { force: true });
+    },
+
+    // =================================================================
+    // EVENT LISTENERS
+    // =================================================================
+
+    registerListeners: function() {
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.type === 'clock-tick') {
+                this.lastTickerTick = Date.now();
+                this.scheduler.tick("ticker");
+                return;
+            }
+            if (message.type === 'color-scheme') {
+                this.setColorScheme(message.scheme);
+                return;
+            }
+            const cacheKey = message.cacheKey;
+            if (!cacheKey || !this.pendingIconCallbacks[cacheKey]) {
+                return;
+            }
+            if (message.type === 'icon-drawn' && message.imageData) {
+                // Pixels arrive base64-encoded (see renderIcon).
+                this.pendingIconCallbacks[cacheKey].resolve(IconStore.decodeImageSet(message.imageData));
+            } else if (message.type === 'icons-drawn' && message.icons) {
+                this.pendingIconCallbacks[cacheKey].resolve(message.icons.map(icon => ({
+                    cacheKey: icon.cacheKey,
+                    imageData: IconStore.decodeImageSet(icon.imageData),
+                })));
+            } else if (message.type === 'icon-error') {
+                this.pendingIconCallbacks[cacheKey].reject(new Error(message.error));
+            }
+            delete this.pendingIconCallbacks[cacheKey];
+        });
+
+        chrome.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace === 'sync') {
+                this.settingsPromise = null;
+                // Only settings that affect the drawn icon invalidate the cache.
+                if (SettingsSchema.getVisualKeys().some(key => key in changes)) {
+                    this.iconCache.clear();
+                }
+                // Forced so the title follows too; the tick also re-arms the
+                // boundary alarm in case the time zone moved it.
+                this.scheduler.tick("settings", { force: true });
+                if ('autoThemeColor' in changes || 'localOverrides' in changes) {
+                    this.ensureThemeWatcher();
+                }
+            }
+        });
+
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            if (this.scheduler.handleAlarm(alarm)) {
+                // The offscreen document may have been closed since the last alarm.
+                this.ensureTicker();
+                this.ensureThemeWatcher();
+            }
+        });
+
+        chrome.runtime.onInstalled.addListener(async () => {
+            console.log("Extension installed.");
+            // Bring settings written by older versions up to date before drawing with them.
+            await SettingsSchema.migrateStoredSettings();
+            this.initialize();
+        });
+
+        chrome.runtime.onStartup.addListener(() => {
+            console.log("Browser started.");
+            this.initialize();
+        });
+    },
+};
@@ -7,6 +7,10 @@ document.addEventListener("DOMContentLoaded", () => {
     // State variables
     let selectedColor = "#ffffff";
     let isDragging = false;
+    let worldClocks = [];
+    let discoveredCompanions = [];
+    let pendingImport = null;
+    let profiles = [];
 
     // DOM Element references
     const elements = {
@@ -27,6 +31,69 @@ document.addEventListener("DOMContentLoaded", () => {
         recentContainer: document.getElementById('recent-colors'),
         timeFormatToggle: document.getElementById("time-format-toggle"),
         leadingZeroToggle: document.getElementById("leading-zero-toggle"),
+        autoThemeToggle: document.getElementById("auto-theme-toggle"),
+        themeColors: document.getElementById("theme-colors"),
+        lightThemeColorInput: document.getElementById("light-theme-color"),
+        darkThemeColorInput: document.getElementById("dark-theme-color"),
+        iconShapeSelect: document.getElementById("icon-shape-select"),
+        shapeOptions: document.getElementById("shape-options"),
+        shapeFillColorInput: document.getElementById("shape-fill-color"),
+        shapeStrokeColorInput: document.getElementById("shape-stroke-color"),
+        shapePaddingInput: document.getElementById("shape-padding"),
+        fontFamilySelect: document.getElementById("font-family-select"),
+        fontWeightSelect: document.getElementById("font-weight-select"),
+        fontStyleSelect: document.getElementById("font-style-select"),
+        fontStretchSelect: document.getElementById("font-stretch-select"),
+        iconPreviews: document.querySelectorAll(".icon-preview"),
+        displayModeSelect: document.getElementById("display-mode-select"),
+        combinedLayoutSelect: document.getElementById("combined-layout-select"),
+        analogOptions: document.getElementById("analog-options"),
+        analogGranularitySelect: document.getElementById("analog-granularity-select"),
+        analogTicksToggle: document.getElementById("analog-ticks-toggle"),
+        analogFaceToggle: document.getElementById("analog-face-toggle"),
+        analogHandsFollowToggle: document.getElementById("analog-hands-follow-toggle"),
+        analogHandColors: document.getElementById("analog-hand-colors"),
+        analogHourHandColorInput: document.getElementById("analog-hour-hand-color"),
+        analogMinuteHandColorInput: document.getElementById("analog-minute-hand-color"),
+        progressRingSelect: document.getElementById("progress-ring-select"),
+        progressRingOptions: document.getElementById("progress-ring-options"),
+        progressRingColorInput: document.getElementById("progress-ring-color"),
+        progressRingWidthInput: document.getElementById("progress-ring-width"),
+        progressRingStartSelect: document.getElementById("progress-ring-start"),
+        workdayOptions: document.getElementById("workday-options"),
+        workdayStartInput: document.getElementById("workday-start"),
+        workdayEndInput: document.getElementById("workday-end"),
+        badgeContentSelect: document.getElementById("badge-content-select"),
+        badgeTargetInput: document.getElementById("badge-target"),
+        badgeColors: document.getElementById("badge-colors"),
+        badgeTextColorInput: document.getElementById("badge-text-color"),
+        badgeBackgroundColorInput: document.getElementById("badge-background-color"),
+        timeZoneSelect: document.getElementById("time-zone-select"),
+        shareTimeZoneToggle: document.getElementById("share-time-zone-toggle"),
+        worldClockList: document.getElementById("world-clock-list"),
+        worldClockLabel: document.getElementById("world-clock-label"),
+        worldClockZone: document.getElementById("world-clock-zone"),
+        worldClockAddButton: document.getElementById("world-clock-add"),
+        companionList: document.getElementById("companion-list"),
+        discoveredCompanionList: document.getElementById("discovered-companion-list"),
+        companionIdInput: document.getElementById("companion-id"),
+        companionCodeInput: document.getElementById("companion-code"),
+        companionPairButton: document.getElementById("companion-pair"),
+        companionDiscoverButton: document.getElementById("companion-discover"),
+        pairingCodeShowButton: document.getElementById("pairing-code-show"),
+        pairingCodeDisplay: document.getElementById("pairing-code"),
+        testSyncButton: document.getElementById("test-sync"),
+        syncDiagnostics: document.getElementById("sync-diagnostics"),
+        // Each picker lists the settings it scopes in data-scope-keys.
+        scopeSelects: document.querySelectorAll(".scope-select"),
+        exportButton: document.getElementById("export-settings"),
+        importButton: document.getElementById("import-settings"),
+        importFileInput: document.getElementById("import-file"),
+        importPreview: document.getElementById("import-preview"),
+        profileList: document.getElementById("profile-list"),
+        profileNameInput: document.getElementById("profile-name"),
+        profileSaveButton: document.getElementById("profile-save"),
+        profileSelect: document.getElementById("profile-select"),
     };
 
     // --- UI Update Functions ---
@@ -151,6 +218,367 @@ document.addEventListener("DOMContentLoaded", () => {
         });
     }
 
+    /**
+     * Fills a time zone picker with every zone the browser supports.
+     * @param {HTMLSelectElement} select - The picker to fill.
+     * @param {string} selectedZone - The zone to pre-select ("" for local time).
+     */
+    function renderTimeZoneOptions(select, selectedZone) {
+        if (!select)
+            return;
+        select.innerHTML = '';
+        const localOption = document.createElement('option');
+        localOption.value = '';
+        localOption.textContent = 'Browser local time';
+        select.appendChild(localOption);
+        const zones = getSupportedTimeZones();
+        // Keep a saved zone selectable even if this browser doesn't list it.
+        if (selectedZone && !zones.includes(selectedZone)) {
+            zones.unshift(selectedZone);
+        }
+        zones.forEach(zone => {
+            const option = document.createElement('option');
+            option.value = zone;
+            option.textContent = zone.replace(/_/g, ' ');
+            select.appendChild(option);
+        });
+        select.value = selectedZone;
+    }
+
+    /**
+     * Fills the font picker with the families in ICON_FONTS.
+     * @param {string} selectedFont - Key of the saved family.
+     */
+    function renderFontOptions(selectedFont) {
+        if (!elements.fontFamilySelect)
+            return;
+        elements.fontFamilySelect.innerHTML = '';
+        Object.entries(ICON_FONTS).forEach(([key, font]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = font.label;
+            if (font.family)
+                option.style.fontFamily = font.family;
+            elements.fontFamilySelect.appendChild(option);
+        });
+        elements.fontFamilySelect.value = selectedFont;
+    }
+
+    /**
+     * Renders the editable list of world clocks shown in the tooltip.
+     */
+    function renderWorldClocks() {
+        if (!elements.worldClockList)
+            return;
+        elements.worldClockList.innerHTML = '';
+        worldClocks.forEach((clock, index) => {
+            const row = document.createElement('div');
+            row.className = 'world-clock-row';
+
+            const label = document.createElement('span');
+            label.className = 'world-clock-name';
+            label.textContent = `${clock.label} (${clock.timeZone ? clock.timeZone.replace(/_/g, ' ') : 'local time'})`;
+            row.appendChild(label);
+
+            const actions = [
+                { text: '\u2191', title: 'Move up', disabled: index === 0, handler: () => moveWorldClock(index, -1) },
+                { text: '\u2193', title: 'Move down', disabled: index === worldClocks.length - 1, handler: () => moveWorldClock(index, 1) },
+                { text: '\u2715', title: 'Remove', disabled: false, handler: () => removeWorldClock(index) },
+            ];
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = action.text;
+                button.title = action.title;
+                button.disabled = action.disabled;
+                button.addEventListener('click', action.handler);
+                row.appendChild(button);
+            });
+            elements.worldClockList.appendChild(row);
+        });
+    }
+
+    // The time the preview shows: 10:10 reads well on a clock face too.
+    const PREVIEW_TIME = { year: 2026, month: 1, day: 1, hour: 10, minute: 10, second: 42 };
+    // The engine's text, alignment and style for this extension's unit, named
+    // by the page (data-clock-unit), without the rest of the service worker.
+    const previewUnit = typeof CLOCK_UNITS === 'object' ? CLOCK_UNITS[document.body.dataset.clockUnit] : null;
+    const previewEngine = previewUnit ? Object.assign(Object.create(ClockEngine), { unit: previewUnit }) : null;
+
+    /**
+     * Draws a sample icon with the settings in effect, the way the service
+     * worker and offscreen document would (see ClockEngine.getIcon and
+     * icon-renderer.js), at each canvas's size.
+     * @param {ClockSettings} settings
+     */
+    function renderIconPreview(settings) {
+        if (!elements.iconPreviews.length || !previewEngine || typeof paintIcon !== 'function')
+            return;
+        const scheme = matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+        const { text, style } = previewEngine.getIcon(PREVIEW_TIME, settings, scheme);
+        elements.iconPreviews.forEach(canvas => {
+            paintIcon(text, style, canvas, canvas.getContext('2d'));
+        });
+    }
+
+    /**
+     * Whether the settings in effect differ from what a profile would apply.
+     */
+    function isProfileModified(profile, settings) {
+        return Object.keys(profile.settings).some(key =>
+            JSON.stringify(profile.settings[key]) !== JSON.stringify(settings[key]));
+    }
+
+    /**
+     * Renders the editable list of theme profiles.
+     * @param {ClockSettings} settings - The settings in effect.
+     */
+    function renderProfiles(settings) {
+        if (!elements.profileList)
+            return;
+        elements.profileList.innerHTML = '';
+        profiles.forEach((profile, index) => {
+            const row = document.createElement('div');
+            row.className = 'profile-row';
+
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.value = profile.name;
+            name.maxLength = MAX_PROFILE_NAME_LENGTH;
+            name.title = 'Rename';
+            name.addEventListener('change', () => renameProfile(index, name.value));
+            row.appendChild(name);
+
+            if (profile.id === settings.activeProfileId) {
+                const state = document.createElement('span');
+                state.className = 'profile-state';
+                state.textContent = isProfileModified(profile, settings) ? 'Active, modified' : 'Active';
+                row.appendChild(state);
+            }
+
+            const actions = [
+                { text: 'Apply', title: 'Apply this profile', disabled: false, handler: () => handleApplyProfile(profile.id) },
+                { text: '\u2191', title: 'Move up', disabled: index === 0, handler: () => moveProfile(index, -1) },
+                { text: '\u2193', title: 'Move down', disabled: index === profiles.length - 1, handler: () => moveProfile(index, 1) },
+                { text: '\u2715', title: 'Delete', disabled: false, handler: () => deleteProfile(index) },
+            ];
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = action.text;
+                button.title = action.title;
+                button.disabled = action.disabled;
+                button.addEventListener('click', action.handler);
+                row.appendChild(button);
+            });
+            elements.profileList.appendChild(row);
+        });
+    }
+
+    /**
+     * Fills the popup's quick profile switcher.
+     * @param {ClockSettings} settings - The settings in effect.
+     */
+    function renderProfileSelect(settings) {
+        if (!elements.profileSelect)
+            return;
+        elements.profileSelect.innerHTML = '';
+        const noneOption = document.createElement('option');
+        noneOption.value = '';
+        noneOption.textContent = profiles.length > 0 ? 'Choose a profile' : 'No saved profiles';
+        elements.profileSelect.appendChild(noneOption);
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.id === settings.activeProfileId && isProfileModified(profile, settings)
+                ? `${profile.name} (modified)`
+                : profile.name;
+            elements.profileSelect.appendChild(option);
+        });
+        elements.profileSelect.value = profiles.some(profile => profile.id === settings.activeProfileId)
+            ? settings.activeProfileId
+            : '';
+    }
+
+    /**
+     * Builds one row of the companion lists: a name, an optional sync state and action buttons.
+     * @param {{id: string, name: string}} companion
+     * @param {{text: string, handler: function}[]} actions
+     * @param {string} [syncState]
+     */
+    function createCompanionRow(companion, actions, syncState = '') {
+        const row = document.createElement('div');
+        row.className = 'companion-row';
+
+        const label = document.createElement('span');
+        label.className = 'companion-name';
+        label.textContent = companion.name ? `${companion.name} (${companion.id})` : companion.id;
+        row.appendChild(label);
+
+        if (syncState) {
+            const state = document.createElement('span');
+            state.className = 'companion-sync-state';
+            state.textContent = syncState;
+            row.appendChild(state);
+        }
+
+        actions.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = action.text;
+            button.addEventListener('click', action.handler);
+            row.appendChild(button);
+        });
+        return row;
+    }
+
+    /**
+     * Describes a companion's outbox entry, e.g. "Pending, next try 14:05".
+     * @param {?object} entry - From SharedSettings.loadOutbox().
+     */
+    function describeSyncState(entry) {
+        if (!entry)
+            return 'Up to date';
+        if (entry.failed)
+            return `Failed: ${entry.lastError.message}`;
+        const nextTry = new Date(entry.nextAttemptAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        return `Pending, next try ${nextTry}`;
+    }
+
+    /**
+     * Renders the paired companions, and those found by discovery but not yet paired.
+     */
+    async function renderCompanions() {
+        if (!elements.companionList)
+            return;
+        const [paired, outbox] = await Promise.all([
+            SharedSettings.loadPairedExtensions(),
+            SharedSettings.loadOutbox(),
+        ]);
+        elements.companionList.innerHTML = '';
+        if (paired.length === 0) {
+            elements.companionList.textContent = 'Not paired with any extension.';
+        }
+        paired.forEach(companion => {
+            const entry = outbox[companion.id];
+            const actions = [{ text: 'Unpair', handler: () => handleUnpairCompanion(companion.id) }];
+            if (entry)
+                actions.unshift({ text: 'Retry now', handler: () => handleRetryCompanion(companion.id) });
+            elements.companionList.appendChild(createCompanionRow(companion, actions, describeSyncState(entry)));
+        });
+
+        if (!elements.discoveredCompanionList)
+            return;
+        elements.discoveredCompanionList.innerHTML = '';
+        discoveredCompanions
+            .filter(companion => !paired.some(entry => entry.id === companion.id))
+            .forEach(companion => {
+                elements.discoveredCompanionList.appendChild(
+                    createCompanionRow(companion, [{ text: 'Pair', handler: () => startPairing(companion) }]));
+            });
+    }
+
+    function formatSettingValue(value) {
+        return value === undefined ? '(not set)' : JSON.stringify(value);
+    }
+
+    /**
+     * Renders the Test Sync results: one block per paired companion.
+     * @param {object[]} results - From SharedSettings.runDiagnostics().
+     */
+    function renderSyncDiagnostics(results) {
+        if (!elements.syncDiagnostics)
+            return;
+        elements.syncDiagnostics.innerHTML = '';
+        if (results.length === 0) {
+            elements.syncDiagnostics.textContent = 'Not paired with any extension.';
+            return;
+        }
+        results.forEach(result => {
+            const block = document.createElement('div');
+            block.className = 'diagnostic';
+
+            const title = document.createElement('strong');
+            title.textContent = result.name || result.id;
+            block.appendChild(title);
+
+            const lines = [
+                `Installed: ${result.installed ? 'yes' : 'no'}`,
+                `Reachable: ${result.reachable ? `yes (${result.latencyMs} ms)` : 'no'}`,
+                `Protocol version: ${result.version || 'unknown'}`,
+                `In sync: ${result.inSync === null ? 'unknown' : result.inSync ? 'yes' : `no, ${result.differences.length} setting(s) differ`}`,
+            ];
+            if (result.error)
+                lines.push(`Problem: ${result.error}`);
+            result.differences.forEach(difference => {
+                lines.push(`${difference.key}: mine ${formatSettingValue(difference.mine)}, theirs ${formatSettingValue(difference.theirs)}`);
+            });
+            lines.forEach(text => {
+                const line = document.createElement('div');
+                line.textContent = text;
+                block.appendChild(line);
+            });
+
+            if (result.inSync === false) {
+                const actions = document.createElement('div');
+                actions.className = 'diagnostic-actions';
+                [
+                    { text: 'Push my settings', handler: handlePushSettings },
+                    { text: 'Pull theirs', handler: () => handlePullSettings(result.id) },
+                ].forEach(action => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.textContent = action.text;
+                    button.addEventListener('click', action.handler);
+                    actions.appendChild(button);
+                });
+                block.appendChild(actions);
+            }
+            elements.syncDiagnostics.appendChild(block);
+        });
+    }
+
+    /**
+     * Lists what an import would change, with buttons to apply or cancel it.
+     * @param {{key: string, mine: *, theirs: *}[]} differences - Current vs imported values.
+     * @param {{key: string, message: string}[]} errors - Settings in the file that were rejected.
+     */
+    function renderImportPreview(differences, errors) {
+        if (!elements.importPreview)
+            return;
+        elements.importPreview.innerHTML = '';
+        const lines = differences.length === 0
+            ? ['The file matches the current settings.']
+            : differences.map(difference =>
+                `${difference.key}: ${formatSettingValue(difference.mine)} \u2192 ${formatSettingValue(difference.theirs)}`);
+        errors.forEach(error => lines.push(`Skipped ${error.key}: ${error.message}`));
+        lines.forEach(text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            elements.importPreview.appendChild(line);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'diagnostic-actions';
+        const buttons = [{ text: 'Cancel', handler: clearImportPreview }];
+        if (differences.length > 0)
+            buttons.unshift({ text: 'Apply', handler: handleApplyImport });
+        buttons.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = action.text;
+            button.addEventListener('click', action.handler);
+            actions.appendChild(button);
+        });
+        elements.importPreview.appendChild(actions);
+    }
+
+    function clearImportPreview() {
+        pendingImport = null;
+        if (elements.importPreview)
+            elements.importPreview.innerHTML = '';
+    }
+
     /**
      * Shows a temporary status message to the user.
      * @param {string} message - The message to display.
@@ -214,6 +642,474 @@ document.addEventListener("DOMContentLoaded", () => {
         showStatusMessage("Display setting updated!");
     }
 
+    /**
+     * Saves one of this extension's own select-based settings (not synced).
+     */
+    async function handleExtensionSelectChange(event, settingKey) {
+        await saveExtensionPreferences({
+            [settingKey]: event.target.value
+        });
+        updateCombinedLayoutVisibility();
+        updateAnalogOptionsVisibility();
+        showStatusMessage("Display setting updated!");
+    }
+
+    async function handleAnalogChange(settingKey, value) {
+        await saveExtensionPreferences({
+            [settingKey]: value
+        });
+        updateAnalogOptionsVisibility();
+        showStatusMessage("Clock face updated!");
+    }
+
+    /**
+     * The clock face options only matter in that mode, and the hand colors
+     * only when the hands don't follow the clock color.
+     */
+    function updateAnalogOptionsVisibility() {
+        if (!elements.displayModeSelect || !elements.analogOptions)
+            return;
+        elements.analogOptions.style.display = elements.displayModeSelect.value === 'analog' ? '' : 'none';
+        if (elements.analogHandColors && elements.analogHandsFollowToggle)
+            elements.analogHandColors.style.display = elements.analogHandsFollowToggle.checked ? 'none' : '';
+    }
+
+    /**
+     * The layout picker only matters when the icon shows both hour and minute.
+     */
+    function updateCombinedLayoutVisibility() {
+        if (!elements.displayModeSelect || !elements.combinedLayoutSelect)
+            return;
+        const container = elements.combinedLayoutSelect.closest('.toggle-container') || elements.combinedLayoutSelect;
+        container.style.display = elements.displayModeSelect.value === 'combined' ? '' : 'none';
+    }
+
+    /**
+     * Makes the settings behind a scope picker local to this extension, or shared again.
+     */
+    async function handleScopeChange(event) {
+        const keys = event.target.dataset.scopeKeys.split(',');
+        await saveSettingScope(keys, event.target.value);
+        await loadSettingsIntoUI();
+        showStatusMessage(event.target.value === 'local' ? "Now applies to this clock only!" : "Now shared with paired clocks!");
+    }
+
+    /**
+     * The light and dark colors only matter when the color follows the theme.
+     */
+    function updateThemeColorsVisibility() {
+        if (!elements.autoThemeToggle || !elements.themeColors)
+            return;
+        elements.themeColors.style.display = elements.autoThemeToggle.checked ? '' : 'none';
+    }
+
+    async function handleThemeColorChange(event, settingKey) {
+        await saveDisplayPreferences({
+            [settingKey]: event.target.value
+        });
+        showStatusMessage("Theme color updated!");
+    }
+
+    /**
+     * Fill, outline and padding only matter when there is a shape.
+     */
+    function updateShapeOptionsVisibility() {
+        if (!elements.iconShapeSelect || !elements.shapeOptions)
+            return;
+        elements.shapeOptions.style.display = elements.iconShapeSelect.value === 'none' ? 'none' : '';
+    }
+
+    async function handleShapeChange(settingKey, value) {
+        await saveDisplayPreferences({
+            [settingKey]: value
+        });
+        updateShapeOptionsVisibility();
+        showStatusMessage("Shape updated!");
+    }
+
+    function handleShapePaddingChange() {
+        const padding = parseInt(elements.shapePaddingInput.value, 10);
+        if (!Number.isInteger(padding) || padding < 0 || padding > MAX_SHAPE_PADDING) {
+            showStatusMessage(`Padding must be between 0 and ${MAX_SHAPE_PADDING}!`);
+            return;
+        }
+        handleShapeChange('shapePadding', padding);
+    }
+
+    async function handleFontChange(settingKey, value) {
+        await saveDisplayPreferences({
+            [settingKey]: value
+        });
+        showStatusMessage("Font updated!");
+    }
+
+    /**
+     * The ring style only matters when a ring is shown, and the workday hours
+     * only for the workday ring.
+     */
+    function updateProgressRingVisibility() {
+        if (!elements.progressRingSelect)
+            return;
+        const span = elements.progressRingSelect.value;
+        if (elements.progressRingOptions)
+            elements.progressRingOptions.style.display = span === 'none' ? 'none' : '';
+        if (elements.workdayOptions)
+            elements.workdayOptions.style.display = span === 'workday' ? '' : 'none';
+    }
+
+    async function handleProgressRingChange() {
+        await saveExtensionPreferences({
+            progressRing: elements.progressRingSelect.value
+        });
+        updateProgressRingVisibility();
+        showStatusMessage("Progress ring updated!");
+    }
+
+    async function handleProgressRingStyleChange(settingKey, value) {
+        await saveDisplayPreferences({
+            [settingKey]: value
+        });
+        showStatusMessage("Progress ring updated!");
+    }
+
+    function handleProgressRingWidthChange() {
+        const width = parseInt(elements.progressRingWidthInput.value, 10);
+        if (!Number.isInteger(width) || width < 1 || width > MAX_PROGRESS_RING_WIDTH) {
+            showStatusMessage(`Thickness must be between 1 and ${MAX_PROGRESS_RING_WIDTH}!`);
+            return;
+        }
+        handleProgressRingStyleChange('progressRingWidth', width);
+    }
+
+    /**
+     * Converts between minutes after midnight and the "HH:MM" of a time input.
+     */
+    function formatMinutesOfDay(minutes) {
+        return String(Math.floor(minutes / 60)).padStart(2, '0') + ':' + String(minutes % 60).padStart(2, '0');
+    }
+
+    function parseMinutesOfDay(value) {
+        const match = /^(\d{2}):(\d{2})$/.exec(value);
+        return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+    }
+
+    async function handleWorkdayChange(event, settingKey) {
+        const minutes = parseMinutesOfDay(event.target.value);
+        if (minutes === null) {
+            showStatusMessage("Enter a time for the workday!");
+            return;
+        }
+        await saveExtensionPreferences({
+            [settingKey]: minutes
+        });
+        showStatusMessage("Workday updated!");
+    }
+
+    /**
+     * The target time only matters for the countdown, and the colors only
+     * when there is a badge.
+     */
+    function updateBadgeOptionsVisibility() {
+        if (!elements.badgeContentSelect)
+            return;
+        const content = elements.badgeContentSelect.value;
+        if (elements.badgeTargetInput)
+            elements.badgeTargetInput.style.display = content === 'countdown' ? '' : 'none';
+        if (elements.badgeColors)
+            elements.badgeColors.style.display = content === 'none' ? 'none' : '';
+    }
+
+    async function handleBadgeContentChange() {
+        await saveExtensionPreferences({
+            badgeContent: elements.badgeContentSelect.value
+        });
+        updateBadgeOptionsVisibility();
+        showStatusMessage("Badge updated!");
+    }
+
+    async function handleBadgeTargetChange() {
+        const minutes = parseMinutesOfDay(elements.badgeTargetInput.value);
+        if (minutes === null) {
+            showStatusMessage("Enter a time to count down to!");
+            return;
+        }
+        await saveExtensionPreferences({
+            badgeTarget: minutes
+        });
+        showStatusMessage("Badge updated!");
+    }
+
+    async function handleBadgeColorChange(event, settingKey) {
+        await saveDisplayPreferences({
+            [settingKey]: event.target.value
+        });
+        showStatusMessage("Badge color updated!");
+    }
+
+    async function handleTimeZoneChange() {
+        const timeZone = elements.timeZoneSelect.value;
+        if (!isValidTimeZone(timeZone)) {
+            showStatusMessage("Unknown time zone!");
+            return;
+        }
+        const shareTimeZone = elements.shareTimeZoneToggle ? elements.shareTimeZoneToggle.checked : true;
+        await saveTimeZonePreferences(timeZone, shareTimeZone);
+        showStatusMessage("Time zone updated!");
+    }
+
+    async function persistWorldClocks(message) {
+        worldClocks = await saveWorldClocks(worldClocks);
+        renderWorldClocks();
+        showStatusMessage(message);
+    }
+
+    async function handleSaveProfile() {
+        const name = elements.profileNameInput.value.trim();
+        if (!name) {
+            showStatusMessage("Enter a name for the profile!");
+            return;
+        }
+        if (profiles.length >= MAX_PROFILES) {
+            showStatusMessage(`At most ${MAX_PROFILES} profiles can be saved!`);
+            return;
+        }
+        try {
+            await saveCurrentAsProfile(name);
+        } catch (error) {
+            console.error("Error saving profile:", error);
+            showStatusMessage(`Couldn't save the profile: ${error.message}!`);
+            return;
+        }
+        elements.profileNameInput.value = '';
+        await loadSettingsIntoUI();
+        showStatusMessage("Profile saved!");
+    }
+
+    async function handleApplyProfile(profileId) {
+        if (!profileId)
+            return;
+        await applyProfile(profileId);
+        await loadSettingsIntoUI();
+        showStatusMessage("Profile applied!");
+    }
+
+    async function persistProfiles(message) {
+        try {
+            profiles = await saveProfiles(profiles);
+        } catch (error) {
+            console.error("Error saving profiles:", error);
+            message = `Couldn't save the profiles: ${error.message}!`;
+        }
+        // Shows the stored list again if saving failed.
+        await loadSettingsIntoUI();
+        showStatusMessage(message);
+    }
+
+    async function renameProfile(index, name) {
+        if (!name.trim()) {
+            renderProfiles(await loadSavedPreferences());
+            showStatusMessage("Profile names can't be empty!");
+            return;
+        }
+        profiles[index] = { ...profiles[index], name };
+        await persistProfiles("Profile renamed!");
+    }
+
+    async function moveProfile(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= profiles.length)
+            return;
+        [profiles[index], profiles[target]] = [profiles[target], profiles[index]];
+        await persistProfiles("Profiles reordered!");
+    }
+
+    async function deleteProfile(index) {
+        profiles.splice(index, 1);
+        await persistProfiles("Profile deleted!");
+    }
+
+    async function handleAddWorldClock() {
+        const label = elements.worldClockLabel.value.trim();
+        const timeZone = elements.worldClockZone.value;
+        if (!label) {
+            showStatusMessage("Enter a label for the clock!");
+            return;
+        }
+        if (!isValidTimeZone(timeZone)) {
+            showStatusMessage("Unknown time zone!");
+            return;
+        }
+        worldClocks.push({ label, timeZone });
+        elements.worldClockLabel.value = '';
+        await persistWorldClocks("World clock added!");
+    }
+
+    async function moveWorldClock(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= worldClocks.length)
+            return;
+        [worldClocks[index], worldClocks[target]] = [worldClocks[target], worldClocks[index]];
+        await persistWorldClocks("World clocks reordered!");
+    }
+
+    async function removeWorldClock(index) {
+        worldClocks.splice(index, 1);
+        await persistWorldClocks("World clock removed!");
+    }
+
+    async function pairCompanion(id, code) {
+        try {
+            const added = await SharedSettings.pairWith(id, code);
+            showStatusMessage(added ? "Paired!" : "Already paired!");
+        } catch (error) {
+            console.error("Pairing failed:", error);
+            showStatusMessage(`Pairing failed: ${error.message}`);
+        }
+        await renderCompanions();
+    }
+
+    async function handlePairCompanion() {
+        const id = elements.companionIdInput.value.trim();
+        const code = elements.companionCodeInput ? elements.companionCodeInput.value.trim() : '';
+        if (!SharedSettings.isValidExtensionId(id)) {
+            showStatusMessage("Enter a valid extension ID!");
+            return;
+        }
+        if (!/^\d+$/.test(code)) {
+            showStatusMessage("Enter the pairing code shown in the other clock's options!");
+            return;
+        }
+        elements.companionIdInput.value = '';
+        elements.companionCodeInput.value = '';
+        await pairCompanion(id, code);
+    }
+
+    // A discovered companion still needs its pairing code.
+    function startPairing(companion) {
+        elements.companionIdInput.value = companion.id;
+        if (elements.companionCodeInput)
+            elements.companionCodeInput.focus();
+        showStatusMessage(`Enter the pairing code shown in ${companion.name || 'the other clock'}'s options!`);
+    }
+
+    let pairingCodeTimer = null;
+
+    /**
+     * Shows the pairing code on offer, with this extension's ID to enter next to
+     * it, until it is used or expires.
+     */
+    async function renderPairingCode() {
+        if (!elements.pairingCodeDisplay)
+            return;
+        clearTimeout(pairingCodeTimer);
+        const pairingCode = await SharedSettings.loadPairingCode();
+        if (!pairingCode) {
+            elements.pairingCodeDisplay.textContent = '';
+            return;
+        }
+        const until = new Date(pairingCode.expiresAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        elements.pairingCodeDisplay.textContent = `Code ${pairingCode.code} for ${chrome.runtime.id}, valid until ${until}`;
+        pairingCodeTimer = setTimeout(renderPairingCode, pairingCode.expiresAt - Date.now());
+    }
+
+    async function handleShowPairingCode() {
+        await SharedSettings.createPairingCode();
+        await renderPairingCode();
+    }
+
+    async function handleDiscoverCompanions() {
+        discoveredCompanions = await SharedSettings.discoverCompanions();
+        await renderCompanions();
+        showStatusMessage(discoveredCompanions.length > 0 ? "Companions found!" : "No companions found.");
+    }
+
+    async function handleRetryCompanion(id) {
+        await SharedSettings.runFromPage("flushOutbox", [{ ids: [id], force: true }]);
+        const outbox = await SharedSettings.loadOutbox();
+        showStatusMessage(outbox[id] ? "Companion still unreachable." : "Pending changes delivered!");
+    }
+
+    async function handleUnpairCompanion(id) {
+        await SharedSettings.runFromPage("unpair", [id]);
+        await renderCompanions();
+        showStatusMessage("Unpaired!");
+    }
+
+    async function handleTestSync() {
+        if (elements.syncDiagnostics)
+            elements.syncDiagnostics.textContent = 'Testing sync...';
+        elements.testSyncButton.disabled = true;
+        try {
+            renderSyncDiagnostics(await SharedSettings.runDiagnostics());
+        } finally {
+            elements.testSyncButton.disabled = false;
+        }
+    }
+
+    async function handlePushSettings() {
+        await SharedSettings.runFromPage("pushSettings");
+        showStatusMessage("Settings pushed to companions!");
+        await handleTestSync();
+    }
+
+    async function handlePullSettings(id) {
+        try {
+            await SharedSettings.runFromPage("pullSettings", [id]);
+            showStatusMessage("Settings pulled from companion!");
+        } catch (error) {
+            console.error("Pull failed:", error);
+            showStatusMessage(`Pull failed: ${error.message}`);
+        }
+        await loadSettingsIntoUI();
+        await handleTestSync();
+    }
+
+    async function handleExportSettings() {
+        const exported = SettingsSchema.createExport(await SettingsSchema.load());
+        const blob = new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `clock-settings-${exported.exportedAt.slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        showStatusMessage("Settings exported!");
+    }
+
+    /**
+     * Reads the chosen file and previews the changes it would make.
+     */
+    async function handleImportFile() {
+        const file = elements.importFileInput.files[0];
+        elements.importFileInput.value = '';
+        if (!file)
+            return;
+        let parsed;
+        try {
+            parsed = SettingsSchema.parseExport(await file.text());
+        } catch (error) {
+            clearImportPreview();
+            showStatusMessage(`Import failed: ${error.message}`);
+            return;
+        }
+        const current = await SettingsSchema.load();
+        const differences = SharedSettings.diffSettings(current, parsed.settings, Object.keys(parsed.settings));
+        pendingImport = {};
+        differences.forEach(difference => {
+            pendingImport[difference.key] = parsed.settings[difference.key];
+        });
+        renderImportPreview(differences, parsed.errors);
+    }
+
+    async function handleApplyImport() {
+        if (!pendingImport)
+            return;
+        await importSettings(pendingImport);
+        clearImportPreview();
+        await loadSettingsIntoUI();
+        showStatusMessage("Settings imported!");
+    }
+
     // --- Initialization ---
 
     function setupEventListeners() {
@@ -223,16 +1119,20 @@ document.addEventListener("DOMContentLoaded", () => {
         if (elements.resetButton) {
             elements.resetButton.addEventListener("click", handleReset);
         }
-        elements.customColorInput.addEventListener("change", () => {
-            const color = elements.customColorInput.value;
-            if (isValidHexColor(color)) {
-                updateColorUI(color);
-            } else {
-                showStatusMessage("Invalid hex color!");
-            }
-        });
+        if (elements.customColorInput) {
+            elements.customColorInput.addEventListener("change", () => {
+                const color = elements.customColorInput.value;
+                if (isValidHexColor(color)) {
+                    updateColorUI(color);
+                } else {
+                    showStatusMessage("Invalid hex color!");
+                }
+            });
+        }
         [elements.redSlider, elements.greenSlider, elements.blueSlider].forEach(slider => {
-            slider.addEventListener("input", handleRGBChange);
+            if (slider) {
+                slider.addEventListener("input", handleRGBChange);
+            }
         });
         elements.spectrumContainer.addEventListener("mousedown", e => {
             isDragging = true;
@@ -251,9 +1151,114 @@ document.addEventListener("DOMContentLoaded", () => {
             elements.timeFormatToggle.addEventListener("change", e => handleDisplayChange(e, 'use24HourFormat'));
         if (elements.leadingZeroToggle)
             elements.leadingZeroToggle.addEventListener("change", e => handleDisplayChange(e, 'showLeadingZero'));
+        if (elements.autoThemeToggle)
+            elements.autoThemeToggle.addEventListener("change", e => {
+                updateThemeColorsVisibility();
+                handleDisplayChange(e, 'autoThemeColor');
+            });
+        if (elements.lightThemeColorInput)
+            elements.lightThemeColorInput.addEventListener("change", e => handleThemeColorChange(e, 'lightThemeColor'));
+        if (elements.darkThemeColorInput)
+            elements.darkThemeColorInput.addEventListener("change", e => handleThemeColorChange(e, 'darkThemeColor'));
+        if (elements.iconShapeSelect)
+            elements.iconShapeSelect.addEventListener("change", e => handleShapeChange('iconShape', e.target.value));
+        if (elements.shapeFillColorInput)
+            elements.shapeFillColorInput.addEventListener("change", e => handleShapeChange('shapeFillColor', e.target.value));
+        if (elements.shapeStrokeColorInput)
+            elements.shapeStrokeColorInput.addEventListener("change", e => handleShapeChange('shapeStrokeColor', e.target.value));
+        if (elements.shapePaddingInput)
+            elements.shapePaddingInput.addEventListener("change", handleShapePaddingChange);
+        if (elements.fontFamilySelect)
+            elements.fontFamilySelect.addEventListener("change", e => handleFontChange('fontFamily', e.target.value));
+        if (elements.fontWeightSelect)
+            elements.fontWeightSelect.addEventListener("change", e => handleFontChange('fontWeight', e.target.value));
+        if (elements.fontStyleSelect)
+            elements.fontStyleSelect.addEventListener("change", e => handleFontChange('fontStyle', e.target.value));
+        if (elements.fontStretchSelect)
+            elements.fontStretchSelect.addEventListener("change", e => handleFontChange('fontStretch', e.target.value));
+        if (elements.iconPreviews.length) {
+            // Redraw the preview after every saved change, from this page or a companion.
+            chrome.storage.onChanged.addListener(async (changes, areaName) => {
+                if (areaName === 'sync')
+                    renderIconPreview(await loadSavedPreferences());
+            });
+        }
+        if (elements.displayModeSelect)
+            elements.displayModeSelect.addEventListener("change", e => handleExtensionSelectChange(e, 'displayMode'));
+        if (elements.combinedLayoutSelect)
+            elements.combinedLayoutSelect.addEventListener("change", e => handleExtensionSelectChange(e, 'combinedLayout'));
+        if (elements.progressRingSelect)
+            elements.progressRingSelect.addEventListener("change", handleProgressRingChange);
+        if (elements.progressRingColorInput)
+            elements.progressRingColorInput.addEventListener("change", e => handleProgressRingStyleChange('progressRingColor', e.target.value));
+        if (elements.progressRingWidthInput)
+            elements.progressRingWidthInput.addEventListener("change", handleProgressRingWidthChange);
+        if (elements.progressRingStartSelect)
+            elements.progressRingStartSelect.addEventListener("change", e => handleProgressRingStyleChange('progressRingStart', parseInt(e.target.value, 10)));
+        if (elements.workdayStartInput)
+            elements.workdayStartInput.addEventListener("change", e => handleWorkdayChange(e, 'workdayStart'));
+        if (elements.workdayEndInput)
+            elements.workdayEndInput.addEventListener("change", e => handleWorkdayChange(e, 'workdayEnd'));
+        if (elements.badgeContentSelect)
+            elements.badgeContentSelect.addEventListener("change", handleBadgeContentChange);
+        if (elements.badgeTargetInput)
+            elements.badgeTargetInput.addEventListener("change", handleBadgeTargetChange);
+        if (elements.badgeTextColorInput)
+            elements.badgeTextColorInput.addEventListener("change", e => handleBadgeColorChange(e, 'badgeTextColor'));
+        if (elements.badgeBackgroundColorInput)
+            elements.badgeBackgroundColorInput.addEventListener("change", e => handleBadgeColorChange(e, 'badgeBackgroundColor'));
+        if (elements.analogGranularitySelect)
+            elements.analogGranularitySelect.addEventListener("change", e => handleAnalogChange('analogGranularity', parseInt(e.target.value, 10)));
+        if (elements.analogTicksToggle)
+            elements.analogTicksToggle.addEventListener("change", e => handleAnalogChange('analogTicks', e.target.checked));
+        if (elements.analogFaceToggle)
+            elements.analogFaceToggle.addEventListener("change", e => handleAnalogChange('analogFace', e.target.checked));
+        if (elements.analogHandsFollowToggle)
+            elements.analogHandsFollowToggle.addEventListener("change", e => handleAnalogChange('analogHandsFollowColor', e.target.checked));
+        if (elements.analogHourHandColorInput)
+            elements.analogHourHandColorInput.addEventListener("change", e => handleAnalogChange('analogHourHandColor', e.target.value));
+        if (elements.analogMinuteHandColorInput)
+            elements.analogMinuteHandColorInput.addEventListener("change", e => handleAnalogChange('analogMinuteHandColor', e.target.value));
+        if (elements.timeZoneSelect)
+            elements.timeZoneSelect.addEventListener("change", handleTimeZoneChange);
+        if (elements.shareTimeZoneToggle)
+            elements.shareTimeZoneToggle.addEventListener("change", handleTimeZoneChange);
+        if (elements.worldClockAddButton)
+            elements.worldClockAddButton.addEventListener("click", handleAddWorldClock);
+        if (elements.companionPairButton)
+            elements.companionPairButton.addEventListener("click", handlePairCompanion);
+        if (elements.companionDiscoverButton)
+            elements.companionDiscoverButton.addEventListener("click", handleDiscoverCompanions);
+        if (elements.pairingCodeShowButton)
+            elements.pairingCodeShowButton.addEventListener("click", handleShowPairingCode);
+        if (elements.testSyncButton)
+            elements.testSyncButton.addEventListener("click", handleTestSync);
+        elements.scopeSelects.forEach(select => select.addEventListener("change", handleScopeChange));
+        if (elements.profileSaveButton)
+            elements.profileSaveButton.addEventListener("click", handleSaveProfile);
+        if (elements.profileSelect)
+            elements.profileSelect.addEventListener("change", e => handleApplyProfile(e.target.value));
+        if (elements.exportButton)
+            elements.exportButton.addEventListener("click", handleExportSettings);
+        if (elements.importButton && elements.importFileInput) {
+            elements.importButton.addEventListener("click", () => elements.importFileInput.click());
+            elements.importFileInput.addEventListener("change", handleImportFile);
+        }
+        // Pairings can also change from a companion's options page, and the
+        // service worker delivers pending changes in the background.
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && (changes[SharedSettings.PAIRED_STORAGE_KEY] || changes[SharedSettings.OUTBOX_STORAGE_KEY]))
+                renderCompanions();
+            // The service worker uses the code up when a companion tries it.
+            if (areaName === 'session' && changes[SharedSettings.PAIRING_CODE_STORAGE_KEY])
+                renderPairingCode();
+        });
     }
 
-    async function init() {
+    /**
+     * Shows the stored settings in every control.
+     */
+    async function loadSettingsIntoUI() {
         const settings = await loadSavedPreferences();
         updateColorUI(settings.customColor);
         renderRecentColors(settings.recentColors);
@@ -262,6 +1267,89 @@ document.addEventListener("DOMContentLoaded", () => {
             elements.timeFormatToggle.checked = settings.use24HourFormat;
         if (elements.leadingZeroToggle)
             elements.leadingZeroToggle.checked = settings.showLeadingZero;
+        if (elements.autoThemeToggle)
+            elements.autoThemeToggle.checked = settings.autoThemeColor;
+        if (elements.lightThemeColorInput)
+            elements.lightThemeColorInput.value = settings.lightThemeColor;
+        if (elements.darkThemeColorInput)
+            elements.darkThemeColorInput.value = settings.darkThemeColor;
+        updateThemeColorsVisibility();
+        if (elements.iconShapeSelect)
+            elements.iconShapeSelect.value = settings.iconShape;
+        if (elements.shapeFillColorInput)
+            elements.shapeFillColorInput.value = settings.shapeFillColor;
+        if (elements.shapeStrokeColorInput)
+            elements.shapeStrokeColorInput.value = settings.shapeStrokeColor;
+        if (elements.shapePaddingInput)
+            elements.shapePaddingInput.value = settings.shapePadding;
+        updateShapeOptionsVisibility();
+        renderFontOptions(settings.fontFamily);
+        if (elements.fontWeightSelect)
+            elements.fontWeightSelect.value = settings.fontWeight;
+        if (elements.fontStyleSelect)
+            elements.fontStyleSelect.value = settings.fontStyle;
+        if (elements.fontStretchSelect)
+            elements.fontStretchSelect.value = settings.fontStretch;
+        renderIconPreview(settings);
+        if (elements.displayModeSelect)
+            elements.displayModeSelect.value = settings.displayMode;
+        if (elements.combinedLayoutSelect)
+            elements.combinedLayoutSelect.value = settings.combinedLayout;
+        updateCombinedLayoutVisibility();
+        if (elements.analogGranularitySelect)
+            elements.analogGranularitySelect.value = String(settings.analogGranularity);
+        if (elements.analogTicksToggle)
+            elements.analogTicksToggle.checked = settings.analogTicks;
+        if (elements.analogFaceToggle)
+            elements.analogFaceToggle.checked = settings.analogFace;
+        if (elements.analogHandsFollowToggle)
+            elements.analogHandsFollowToggle.checked = settings.analogHandsFollowColor;
+        if (elements.analogHourHandColorInput)
+            elements.analogHourHandColorInput.value = settings.analogHourHandColor;
+        if (elements.analogMinuteHandColorInput)
+            elements.analogMinuteHandColorInput.value = settings.analogMinuteHandColor;
+        updateAnalogOptionsVisibility();
+        if (elements.progressRingSelect)
+            elements.progressRingSelect.value = settings.progressRing;
+        if (elements.progressRingColorInput)
+            elements.progressRingColorInput.value = settings.progressRingColor;
+        if (elements.progressRingWidthInput)
+            elements.progressRingWidthInput.value = settings.progressRingWidth;
+        if (elements.progressRingStartSelect)
+            elements.progressRingStartSelect.value = String(settings.progressRingStart);
+        if (elements.workdayStartInput)
+            elements.workdayStartInput.value = formatMinutesOfDay(settings.workdayStart);
+        if (elements.workdayEndInput)
+            elements.workdayEndInput.value = formatMinutesOfDay(settings.workdayEnd);
+        updateProgressRingVisibility();
+        if (elements.badgeContentSelect)
+            elements.badgeContentSelect.value = settings.badgeContent;
+        if (elements.badgeTargetInput)
+            elements.badgeTargetInput.value = formatMinutesOfDay(settings.badgeTarget);
+        if (elements.badgeTextColorInput)
+            elements.badgeTextColorInput.value = settings.badgeTextColor;
+        if (elements.badgeBackgroundColorInput)
+            elements.badgeBackgroundColorInput.value = settings.badgeBackgroundColor;
+        updateBadgeOptionsVisibility();
+        renderTimeZoneOptions(elements.timeZoneSelect, settings.timeZone);
+        renderTimeZoneOptions(elements.worldClockZone, "UTC");
+        worldClocks = Array.isArray(settings.worldClocks) ? settings.worldClocks : [];
+        renderWorldClocks();
+        if (elements.shareTimeZoneToggle)
+            elements.shareTimeZoneToggle.checked = settings.shareTimeZone;
+        profiles = settings.profiles;
+        renderProfiles(settings);
+        renderProfileSelect(settings);
+        // Show whether each value is this extension's own or the shared one.
+        elements.scopeSelects.forEach(select => {
+            select.value = SettingsSchema.getScope(settings, select.dataset.scopeKeys.split(',')[0]);
+        });
+    }
+
+    async function init() {
+        await loadSettingsIntoUI();
+        renderCompanions();
+        renderPairingCode();
         setupEventListeners();
     }
 
@@ -1,7 +1,7 @@
 // =================================================================
 // COLOR UTILITY MODULE
 // =================================================================
-// This module provides a set of pure functions for color conversions.
+// Pure color conversions (HEX and RGB, HSV to RGB) for the options page and popup.
 
 /**
  * Converts RGB color values to a HEX color string.
@@ -11,6 +11,7 @@
  * @returns {string} The HEX color string (e.g., "#ffffff").
  */
 function rgbToHex(r, g, b) {
+    // Add validation to clamp values between 0 and 255
     r = Math.max(0, Math.min(255, r));
     g = Math.max(0, Math.min(255, g));
     b = Math.max(0, Math.min(255, b));
@@ -29,16 +30,17 @@ function hexToRgb(hex) {
     hex = hex.replace(shorthandRegex, (m, r, g, b) => r + r + g + g + b + b);
 
     const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result ? {
-        r: parseInt(result[1], 16),
-        g: parseInt(result[2], 16),
-        b: parseInt(result[3], 16),
-    }
-     : {
-        r: 0,
-        g: 0,
-        b: 0
-    }; // Return black if the format is invalid
+    return result ?
+        {
+            r: parseInt(result[1], 16),
+            g: parseInt(result[2], 16),
+            b: parseInt(result[3], 16),
+        } :
+        {
+            r: 0,
+            g: 0,
+            b: 0
+        }; // Return black if the format is invalid
 }
 
 /**
@@ -49,9 +51,7 @@ function hexToRgb(hex) {
  * @returns {{r: number, g: number, b: number}} An object with r, g, and b properties.
  */
 function hsvToRgb(h, s, v) {
-    let r,
-    g,
-    b;
+    let r, g, b;
     const i = Math.floor(h / 60) % 6;
     const f = h / 60 - i;
     const p = v * (1 - s);
@@ -59,36 +59,12 @@ function hsvToRgb(h, s, v) {
     const t = v * (1 - (1 - f) * s);
 
     switch (i) {
-    case 0:
-        r = v;
-        g = t;
-        b = p;
-        break;
-    case 1:
-        r = q;
-        g = v;
-        b = p;
-        break;
-    case 2:
-        r = p;
-        g = v;
-        b = t;
-        break;
-    case 3:
-        r = p;
-        g = q;
-        b = v;
-        break;
-    case 4:
-        r = t;
-        g = p;
-        b = v;
-        break;
-    case 5:
-        r = v;
-        g = p;
-        b = q;
-        break;
+        case 0: r = v; g = t; b = p; break;
+        case 1: r = q; g = v; b = p; break;
+        case 2: r = p; g = v; b = t; break;
+        case 3: r = p; g = q; b = v; break;
+        case 4: r = t; g = p; b = v; break;
+        case 5: r = v; g = p; b = q; break;
     }
 
     return {
@@ -105,4 +81,4 @@ function hsvToRgb(h, s, v) {
  */
 function isValidHexColor(color) {
     return /^#([0-9A-F]{3}){1,2}$/i.test(color);
-}
+}
\ No newline at end of file
@@ -0,0 +1,112 @@
+// =================================================================
+// PERSISTENT ICON STORE
+// =================================================================
+// Keeps the full pre-rendered icon set for the current settings in
+// chrome.storage.local, so that after a service-worker restart the icon can be
+// set straight from storage without creating the offscreen document.
+// Only one set (the current settings combination) is kept at a time. Each icon
+// is stored at every size it was drawn in (see ICON_SIZES in icon-renderer.js).
+// The offscreen document sends drawn icons in the same encoding.
+
+const ICON_STORE_KEY = "iconSet";
+// Bumped when the stored layout changes; sets in an older layout are redrawn.
+// Version 2 stores every icon as a map of sizes instead of a single 32px image.
+const ICON_STORE_VERSION = 2;
+
+const IconStore = {
+    /**
+     * Loads the stored icon set if it was rendered for the given signature.
+     * @param {string} signature - Identifies the settings combination (see ClockEngine.getIconSetSignature).
+     * @returns {Promise<Map<string, Object<number, ImageData>>>} Icons by cache key; empty if none match.
+     */
+    load: async function(signature) {
+        const icons = new Map();
+        try {
+            const { [ICON_STORE_KEY]: stored } = await chrome.storage.local.get(ICON_STORE_KEY);
+            if (!stored || stored.version !== ICON_STORE_VERSION || stored.signature !== signature) {
+                return icons;
+            }
+            Object.entries(stored.icons).forEach(([cacheKey, encoded]) => {
+                icons.set(cacheKey, this.decodeImageSet(encoded));
+            });
+        } catch (error) {
+            console.error("Error loading stored icons:", error);
+        }
+        return icons;
+    },
+
+    /**
+     * Replaces the stored icon set.
+     * @param {string} signature - Identifies the settings combination.
+     * @param {Map<string, Object<number, ImageData>>} icons - Icons by cache key.
+     */
+    save: async function(signature, icons) {
+        const encodedIcons = {};
+        icons.forEach((imageData, cacheKey) => {
+            encodedIcons[cacheKey] = this.encodeImageSet(imageData);
+        });
+        try {
+            await chrome.storage.local.set({
+                [ICON_STORE_KEY]: { version: ICON_STORE_VERSION, signature, savedAt: Date.now(), icons: encodedIcons }
+            });
+        } catch (error) {
+            console.error("Error saving icons:", error);
+        }
+    },
+
+    clear: function() {
+        return chrome.storage.local.remove(ICON_STORE_KEY);
+    },
+
+    /**
+     * @param {Object<number, ImageData>} imageSet - One icon by size.
+     * @returns {Object<number, {width: number, height: number, data: string}>}
+     */
+    encodeImageSet: function(imageSet) {
+        const encoded = {};
+        Object.entries(imageSet).forEach(([size, imageData]) => {
+            encoded[size] = this.encodeImageData(imageData);
+        });
+        return encoded;
+    },
+
+    /**
+     * @param {Object<number, {width: number, height: number, data: string}>} encoded
+     * @returns {Object<number, ImageData>}
+     */
+    decodeImageSet: function(encoded) {
+        const imageSet = {};
+        Object.entries(encoded).forEach(([size, icon]) => {
+            imageSet[size] = this.decodeImageData(icon);
+        });
+        return imageSet;
+    },
+
+    /**
+     * Pixel data is stored as base64, which is far smaller in storage than a
+     * JSON array of numbers.
+     * @param {ImageData} imageData
+     * @returns {{width: number, height: number, data: string}}
+     */
+    encodeImageData: function(imageData) {
+        let binary = "";
+        const bytes = imageData.data;
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return { width: imageData.width, height: imageData.height, data: btoa(binary) };
+    },
+
+    /**
+     * @param {{width: number, height: number, data: string}} encoded
+     * @returns {ImageData}
+     */
+    decodeImageData: function(encoded) {
+        const binary = atob(encoded.data);
+        const bytes = new Uint8ClampedArray(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new ImageData(bytes, encoded.width, encoded.height);
+    },
+};
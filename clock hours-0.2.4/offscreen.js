@@ -1,94 +1,20 @@
 // =================================================================
 // Optimized Offscreen Document
 // =================================================================
-
-// Canvas pool to reuse canvas instances
-class CanvasPool {
-    constructor(maxSize = 3) {
-        this.pool = [];
-        this.maxSize = maxSize;
-    }
-
-    getCanvas() {
-        if (this.pool.length > 0) {
-            return this.pool.pop();
-        }
-        const canvas = new OffscreenCanvas(32, 32);
-        const context = canvas.getContext("2d", { willReadFrequently: true, alpha: true });
-        return { canvas, context };
-    }
-
-    returnCanvas(canvasData) {
-        if (this.pool.length < this.maxSize && canvasData) {
-            canvasData.context.clearRect(0, 0, canvasData.canvas.width, canvasData.canvas.height);
-            this.pool.push(canvasData);
-        }
-    }
-}
-const canvasPool = new CanvasPool();
-
-// Font measurement cache
-const fontMetricsCache = new Map();
-
-function getCachedFontMetrics(text, fontSize, context) {
-    const cacheKey = `${text}-${fontSize}`;
-    if (fontMetricsCache.has(cacheKey)) {
-        return fontMetricsCache.get(cacheKey);
-    }
-    context.font = `bold ${fontSize}px Arial`;
-    const metrics = context.measureText(text);
-    fontMetricsCache.set(cacheKey, metrics);
-    return metrics;
-}
-
-// Optimized font size calculation
-function calculateOptimalFontSize(text, canvas, context) {
-    const maxWidth = canvas.width + 2;
-    const maxHeight = canvas.height + 2;
-    let minSize = 1;
-    let maxSize = Math.floor(canvas.height * 1.2);
-    let bestSize = minSize;
-
-    while (minSize <= maxSize) {
-        const currentSize = Math.floor((minSize + maxSize) / 2);
-        const metrics = getCachedFontMetrics(text, currentSize, context);
-        if (metrics.width <= maxWidth && currentSize <= maxHeight) {
-            bestSize = currentSize;
-            minSize = currentSize + 1;
-        } else {
-            maxSize = currentSize - 1;
-        }
-    }
-    return bestSize;
-}
+// Receives drawing requests from the service worker and answers with pixels.
+// The drawing itself is in icon-renderer.js, which offscreen.html loads first.
 
 /**
  * Main drawing function.
  * This is now an async function that sends a message back when it's done.
  * It no longer returns a promise that resolves internally.
+ * @param {object} data - The text and cacheKey, plus the style options read by renderIcon().
  */
 async function drawIcon(data) {
-    const { text, color, cacheKey, use24HourFormat } = data;
-    const canvasData = canvasPool.getCanvas();
-    const { canvas, context } = canvasData;
+    const { text, cacheKey } = data;
 
     try {
-        const drawText = text + ":";
-        const bestFontSize = calculateOptimalFontSize(drawText, canvas, context);
-
-        context.clearRect(0, 0, canvas.width, canvas.height);
-        context.fillStyle = color;
-        context.font = `bold ${bestFontSize}px Arial`;
-        context.textAlign = "right";
-        context.textBaseline = "middle";
-        context.fillText(drawText, canvas.width, canvas.height / 2);
-
-        const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
-        const serializableImageData = {
-            width: imageData.width,
-            height: imageData.height,
-            data: Array.from(imageData.data)
-        };
+        const serializableImageData = renderIconSet(text, data);
 
         // **FIX:** Send a message back to the background script with the result.
         await chrome.runtime.sendMessage({
@@ -105,12 +31,89 @@ async function drawIcon(data) {
             error: error.message,
             cacheKey: cacheKey
         });
-    } finally {
-        // Always return the canvas to the pool
-        canvasPool.returnCanvas(canvasData);
     }
 }
 
+/**
+ * Draws a whole set of icons (e.g. all 60 seconds) and sends them back in a
+ * single 'icons-drawn' message instead of one message per icon.
+ * @param {object} data - The items ({text, cacheKey}), the shared style options and the batch cacheKey.
+ */
+async function drawIconBatch(data) {
+    const { items, cacheKey } = data;
+
+    try {
+        const icons = items.map(item => ({
+            cacheKey: item.cacheKey,
+            imageData: renderIconSet(item.text, data)
+        }));
+        await chrome.runtime.sendMessage({
+            type: 'icons-drawn',
+            icons: icons,
+            cacheKey: cacheKey
+        });
+    } catch (error) {
+        console.error("Error drawing icon batch in offscreen document:", error);
+        await chrome.runtime.sendMessage({
+            type: 'icon-error',
+            error: error.message,
+            cacheKey: cacheKey
+        });
+    }
+}
+
+// =================================================================
+// Ticker for units that change faster than chrome.alarms can fire
+// =================================================================
+
+let tickTimer = null;
+
+/**
+ * Sends a 'clock-tick' message to the background script on every interval
+ * boundary (e.g. each whole second), re-aligning after every tick so timer
+ * drift never accumulates.
+ * @param {number} intervalMs - The tick interval.
+ */
+function startTicker(intervalMs) {
+    clearTimeout(tickTimer);
+    const scheduleTick = () => {
+        const delay = intervalMs - (Date.now() % intervalMs);
+        tickTimer = setTimeout(() => {
+            chrome.runtime.sendMessage({ type: 'clock-tick' }).catch(error => {
+                console.error("Error sending clock tick:", error);
+            });
+            scheduleTick();
+        }, delay);
+    };
+    scheduleTick();
+}
+
+// =================================================================
+// Light/dark theme watcher
+// =================================================================
+
+let colorSchemeQuery = null;
+
+/**
+ * Reports the browser's color scheme to the background script now and
+ * whenever it changes. The service worker can't evaluate media queries itself.
+ */
+function watchColorScheme() {
+    const report = () => {
+        chrome.runtime.sendMessage({
+            type: 'color-scheme',
+            scheme: colorSchemeQuery.matches ? 'dark' : 'light'
+        }).catch(error => {
+            console.error("Error reporting color scheme:", error);
+        });
+    };
+    if (!colorSchemeQuery) {
+        colorSchemeQuery = matchMedia('(prefers-color-scheme: dark)');
+        colorSchemeQuery.addEventListener('change', report);
+    }
+    report();
+}
+
 /**
  * Main message listener.
  * This has been simplified to just call the drawing function.
@@ -120,6 +123,15 @@ chrome.runtime.onMessage.addListener((message) => {
         // The listener is no longer async, and it doesn't await a promise.
         // It just triggers the drawIcon function, which will handle sending the response.
         drawIcon(message.data);
+    }
+    if (message.target === 'offscreen' && message.type === 'draw-icon-batch') {
+        drawIconBatch(message.data);
+    }
+    if (message.target === 'offscreen' && message.type === 'start-ticker') {
+        startTicker(message.intervalMs);
+    }
+    if (message.target === 'offscreen' && message.type === 'watch-color-scheme') {
+        watchColorScheme();
     }
      // Added a listener for the health check to avoid timeouts.
     if (message.type === 'health-check') {
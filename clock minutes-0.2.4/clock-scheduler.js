@@ -0,0 +1,156 @@
+// =================================================================
+// CLOCK SCHEDULER
+// =================================================================
+// Keeps the icon in step with the clock. Every tick re-arms a one-shot alarm for
+// the next boundary, and a once-a-minute watchdog alarm plus a check on every
+// service-worker wake catch boundaries missed while the machine slept or after
+// the system clock was changed. Units driven by an external ticker (see
+// isTickerAlive) skip the boundary alarm while the ticker runs and keep only
+// the watchdog.
+//
+// The clock, alarms API and state store are injectable so the scheduler can be
+// driven by a fake clock.
+
+// Chrome may delay alarms that are due sooner than this, so short waits are
+// also covered by a timer while the service worker is alive.
+const MIN_ALARM_DELAY_MS = 30 * 1000;
+const WATCHDOG_PERIOD_MINUTES = 1;
+
+class ClockScheduler {
+    /**
+     * @param {object} options
+     * @param {string} options.alarmName - Name of the one-shot boundary alarm.
+     * @param {function(Date): Promise<{value: string, nextBoundary: Date}>} options.getState -
+     *     Returns the value that should be on display at a given time and when it next changes.
+     * @param {function(): Promise<?string>} options.render - Redraws the icon and resolves with
+     *     the value actually displayed, or null if drawing failed.
+     * @param {function(): Date} [options.now] - Clock source; defaults to the system clock.
+     * @param {object} [options.alarms] - Alarms API; defaults to chrome.alarms.
+     * @param {object} [options.stateStore] - Storage area for the last rendered value;
+     *     defaults to chrome.storage.session so it survives service-worker restarts.
+     * @param {object} [options.timers] - Provides setTimeout/clearTimeout.
+     * @param {function(): boolean} [options.isTickerAlive] - True while something else
+     *     calls tick() on every boundary, so arming an alarm and timer would only double it.
+     */
+    constructor(options) {
+        this.alarmName = options.alarmName;
+        this.watchdogAlarmName = `${options.alarmName}-watchdog`;
+        this.getState = options.getState;
+        this.render = options.render;
+        this.now = options.now || (() => new Date());
+        this.alarms = options.alarms || chrome.alarms;
+        this.stateStore = options.stateStore || chrome.storage.session;
+        this.timers = options.timers || { setTimeout: setTimeout.bind(self), clearTimeout: clearTimeout.bind(self) };
+        this.stateKey = `${options.alarmName}-lastRendered`;
+        this.isTickerAlive = options.isTickerAlive || (() => false);
+        this.fallbackTimer = null;
+        // A previous service worker may have left the boundary alarm armed.
+        this.alarmArmed = true;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Returns true if the alarm belongs to this scheduler and was handled.
+     * @param {{name: string}} alarm
+     */
+    handleAlarm(alarm) {
+        if (alarm.name === this.alarmName) {
+            this.tick("alarm");
+            return true;
+        }
+        if (alarm.name === this.watchdogAlarmName) {
+            this.tick("watchdog");
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Called whenever the service worker starts. Redraws if a boundary passed
+     * while it was asleep and makes sure both alarms exist.
+     */
+    wake() {
+        return this.tick("wake").then(() => this.ensureWatchdog());
+    }
+
+    /**
+     * Redraws if the displayed value is stale (or when forced) and arms the next
+     * boundary alarm. Ticks are serialized so overlapping triggers can't race.
+     * @param {string} reason - What triggered the tick, for logging.
+     * @param {{force?: boolean}} [options]
+     */
+    tick(reason, options = {}) {
+        this.queue = this.queue
+            .then(() => this.runTick(reason, options))
+            .catch(error => console.error(`Clock tick (${reason}) failed:`, error));
+        return this.queue;
+    }
+
+    async runTick(reason, { force = false } = {}) {
+        const state = await this.getState(this.now());
+        const stored = await this.stateStore.get(this.stateKey);
+        const lastRendered = stored[this.stateKey];
+
+        if (force || state.value !== lastRendered) {
+            const rendered = await this.render();
+            await this.stateStore.set({ [this.stateKey]: rendered });
+        }
+
+        // Recompute after drawing: the boundary may have passed in the meantime.
+        const next = await this.getState(this.now());
+        if (this.isTickerAlive()) {
+            await this.disarm();
+        } else {
+            await this.arm(next.nextBoundary);
+        }
+        if (next.value !== state.value) {
+            this.tick("boundary-during-draw");
+        }
+    }
+
+    /**
+     * Arms the one-shot alarm for the given boundary, plus an in-memory timer if
+     * the boundary is closer than Chrome's minimum alarm delay.
+     * @param {Date} nextBoundary
+     */
+    async arm(nextBoundary) {
+        const when = nextBoundary.getTime();
+        await this.alarms.create(this.alarmName, { when });
+        this.alarmArmed = true;
+
+        this.clearFallbackTimer();
+        const delay = when - this.now().getTime();
+        if (delay < MIN_ALARM_DELAY_MS) {
+            this.fallbackTimer = this.timers.setTimeout(() => {
+                this.fallbackTimer = null;
+                this.tick("timer");
+            }, Math.max(0, delay));
+        }
+    }
+
+    /**
+     * Drops the boundary alarm and timer while an external ticker drives the clock.
+     * The watchdog stays, so a ticker that dies is noticed within a minute.
+     */
+    async disarm() {
+        this.clearFallbackTimer();
+        if (this.alarmArmed) {
+            await this.alarms.clear(this.alarmName);
+            this.alarmArmed = false;
+        }
+    }
+
+    clearFallbackTimer() {
+        if (this.fallbackTimer) {
+            this.timers.clearTimeout(this.fallbackTimer);
+            this.fallbackTimer = null;
+        }
+    }
+
+    async ensureWatchdog() {
+        const existing = await this.alarms.get(this.watchdogAlarmName);
+        if (!existing) {
+            await this.alarms.create(this.watchdogAlarmName, { periodInMinutes: WATCHDOG_PERIOD_MINUTES });
+        }
+    }
+}
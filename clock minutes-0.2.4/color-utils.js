@@ -1,7 +1,7 @@
 // =================================================================
 // COLOR UTILITY MODULE
 // =================================================================
-// This module provides a set of pure functions for color conversions.
+// Pure color conversions (HEX and RGB, HSV to RGB) for the options page and popup.
 
 /**
  * Converts RGB color values to a HEX color string.
@@ -1,79 +1,140 @@
-// jccalhoun/chrome-clock/chrome-clock-189b85079d5f21c255f61fa07a0526a3c3341f35/clock minutes-0.2.4/offscreen.js
+// =================================================================
+// Optimized Offscreen Document
+// =================================================================
+// Receives drawing requests from the service worker and answers with pixels.
+// The drawing itself is in icon-renderer.js, which offscreen.html loads first.
 
 /**
- * Listens for messages from the background script.
- * When a 'draw-icon' message is received, it triggers the icon drawing process.
- * This listener is async because the work it triggers (drawIcon) is asynchronous.
- */
-chrome.runtime.onMessage.addListener(async(message) => {
-	// Ensure the message is intended for this offscreen document and is the correct type
-    if (message.target === 'offscreen' && message.type === 'draw-icon') {
-        // Pass the entire data object to the drawing function
-        await drawIcon(message.data);
-    }
-});
-
-/**
- *  * Asynchronously draws the clock icon on a canvas and sends the image data back to the service worker.
- * @param {object} data - An object containing the text, color, and cacheKey.
+ * Main drawing function.
+ * This is now an async function that sends a message back when it's done.
+ * It no longer returns a promise that resolves internally.
+ * @param {object} data - The text and cacheKey, plus the style options read by renderIcon().
  */
 async function drawIcon(data) {
-    const { text, color, cacheKey } = data; // Destructure the data object
+    const { text, cacheKey } = data;
 
     try {
-        // Create an in-memory canvas to draw on.
-        const canvas = new OffscreenCanvas(32, 32);
-        const context = canvas.getContext("2d", {
-            willReadFrequently: true
-        });
-
-        // Clear the canvas to ensure no artifacts from previous drawings.
-
-        context.clearRect(0, 0, canvas.width, canvas.height);
-
-        // Dynamic font size calculation
-        let bestFontSize = canvas.height;
-        context.textAlign = "left";
-        context.textBaseline = "middle";
- 
-        for (let currentSize = Math.floor(canvas.height * 1.2); currentSize >= 1; currentSize--) {
-            context.font = `bold ${currentSize}px Arial`;
-            const metrics = context.measureText(text);
-            if (metrics.width <= canvas.width + 2 && currentSize <= canvas.height + 2) {
-                bestFontSize = currentSize;
-                break;
-            }
-        }
-
-        // Draw the text
-        context.fillStyle = color;
-        context.font = `bold ${bestFontSize}px Arial`;
-        context.fillText(text, 0, canvas.height / 2);
-
-        const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
-
-        // Serialize the image data for messaging
-        const serializableImageData = {
-            width: imageData.width,
-            height: imageData.height,
-            data: Array.from(imageData.data)
-        };
+        const serializableImageData = renderIconSet(text, data);
 
-        // Send the successful result back to the background script
+        // **FIX:** Send a message back to the background script with the result.
         await chrome.runtime.sendMessage({
             type: 'icon-drawn',
             imageData: serializableImageData,
-            cacheKey: cacheKey // Always include the cache key
+            cacheKey: cacheKey
         });
 
     } catch (error) {
         console.error("Error drawing icon in offscreen document:", error);
+        // **FIX:** Send an error message back on failure.
+        await chrome.runtime.sendMessage({
+            type: 'icon-error',
+            error: error.message,
+            cacheKey: cacheKey
+        });
+    }
+}
+
+/**
+ * Draws a whole set of icons (e.g. all 60 seconds) and sends them back in a
+ * single 'icons-drawn' message instead of one message per icon.
+ * @param {object} data - The items ({text, cacheKey}), the shared style options and the batch cacheKey.
+ */
+async function drawIconBatch(data) {
+    const { items, cacheKey } = data;
 
-        // Send an error message back if drawing fails
+    try {
+        const icons = items.map(item => ({
+            cacheKey: item.cacheKey,
+            imageData: renderIconSet(item.text, data)
+        }));
+        await chrome.runtime.sendMessage({
+            type: 'icons-drawn',
+            icons: icons,
+            cacheKey: cacheKey
+        });
+    } catch (error) {
+        console.error("Error drawing icon batch in offscreen document:", error);
         await chrome.runtime.sendMessage({
             type: 'icon-error',
             error: error.message,
             cacheKey: cacheKey
         });
     }
-}
\ No newline at end of file
+}
+
+// =================================================================
+// Ticker for units that change faster than chrome.alarms can fire
+// =================================================================
+
+let tickTimer = null;
+
+/**
+ * Sends a 'clock-tick' message to the background script on every interval
+ * boundary (e.g. each whole second), re-aligning after every tick so timer
+ * drift never accumulates.
+ * @param {number} intervalMs - The tick interval.
+ */
+function startTicker(intervalMs) {
+    clearTimeout(tickTimer);
+    const scheduleTick = () => {
+        const delay = intervalMs - (Date.now() % intervalMs);
+        tickTimer = setTimeout(() => {
+            chrome.runtime.sendMessage({ type: 'clock-tick' }).catch(error => {
+                console.error("Error sending clock tick:", error);
+            });
+            scheduleTick();
+        }, delay);
+    };
+    scheduleTick();
+}
+
+// =================================================================
+// Light/dark theme watcher
+// =================================================================
+
+let colorSchemeQuery = null;
+
+/**
+ * Reports the browser's color scheme to the background script now and
+ * whenever it changes. The service worker can't evaluate media queries itself.
+ */
+function watchColorScheme() {
+    const report = () => {
+        chrome.runtime.sendMessage({
+            type: 'color-scheme',
+            scheme: colorSchemeQuery.matches ? 'dark' : 'light'
+        }).catch(error => {
+            console.error("Error reporting color scheme:", error);
+        });
+    };
+    if (!colorSchemeQuery) {
+        colorSchemeQuery = matchMedia('(prefers-color-scheme: dark)');
+        colorSchemeQuery.addEventListener('change', report);
+    }
+    report();
+}
+
+/**
+ * Main message listener.
+ * This has been simplified to just call the drawing function.
+ */
+chrome.runtime.onMessage.addListener((message) => {
+    if (message.target === 'offscreen' && message.type === 'draw-icon') {
+        // The listener is no longer async, and it doesn't await a promise.
+        // It just triggers the drawIcon function, which will handle sending the response.
+        drawIcon(message.data);
+    }
+    if (message.target === 'offscreen' && message.type === 'draw-icon-batch') {
+        drawIconBatch(message.data);
+    }
+    if (message.target === 'offscreen' && message.type === 'start-ticker') {
+        startTicker(message.intervalMs);
+    }
+    if (message.target === 'offscreen' && message.type === 'watch-color-scheme') {
+        watchColorScheme();
+    }
+     // Added a listener for the health check to avoid timeouts.
+    if (message.type === 'health-check') {
+        chrome.runtime.sendMessage({ type: 'health-check-response', cacheKey: message.cacheKey });
+    }
+});
\ No newline at end of file
@@ -0,0 +1,6 @@
+// Import the shared settings logic and the clock engine shared with the 'hours' and 'minutes' extensions.
+importScripts('shared-settings.js', 'time-utils.js', 'settings-schema.js', 'clock-scheduler.js', 'icon-store.js', 'clock-engine.js');
+
+// All caching, scheduling and drawing lives in clock-engine.js; this extension only picks its unit.
+// The seconds unit pre-renders all 60 icons and is ticked by the offscreen document.
+ClockEngine.configure({ unit: "seconds" });
@@ -0,0 +1,205 @@
+// =================================================================
+// COLOR PICKER STATE MANAGEMENT MODULE
+// =================================================================
+// This module handles loading from and saving to chrome.storage.sync.
+// Settings kept "local only" are written to localOverrides and never synced.
+
+/**
+ * Saves settings in the scope each one currently has: overridden keys into
+ * this extension's localOverrides, the rest as shared values that are synced
+ * with the companion extensions.
+ * @param {object} settingsToSave
+ */
+async function saveScopedSettings(settingsToSave) {
+    const { localOverrides } = await chrome.storage.sync.get({ localOverrides: SettingsSchema.fields.localOverrides.default });
+    const shared = {};
+    let overridesChanged = false;
+    Object.entries(settingsToSave).forEach(([key, value]) => {
+        if (key in localOverrides) {
+            localOverrides[key] = value;
+            overridesChanged = true;
+        } else {
+            shared[key] = value;
+        }
+    });
+    if (overridesChanged) {
+        await chrome.storage.sync.set({ localOverrides });
+    }
+    if (Object.keys(shared).length > 0) {
+        await chrome.storage.sync.set(shared);
+        await SharedSettings.syncFromPage(shared);
+    }
+}
+
+/**
+ * Makes settings local to this extension or shared again. Going local starts
+ * from the value currently in effect; going shared drops the local value.
+ * @param {string[]} keys - Overridable settings that change scope together.
+ * @param {"local"|"shared"} scope
+ */
+async function saveSettingScope(keys, scope) {
+    const settings = await SettingsSchema.loadEffective();
+    const localOverrides = { ...settings.localOverrides };
+    keys.forEach(key => {
+        if (scope === "local") {
+            localOverrides[key] = settings[key];
+        } else {
+            delete localOverrides[key];
+        }
+    });
+    await chrome.storage.sync.set({ localOverrides: SettingsSchema.fields.localOverrides.normalize(localOverrides) });
+}
+
+/**
+ * Saves the user's custom color and other preferences to storage.
+ * @param {string} colorToSave - The hex color string to save.
+ */
+async function saveCustomColor(colorToSave) {
+    try {
+        const data = await chrome.storage.sync.get({ recentColors: SettingsSchema.fields.recentColors.default });
+        let recentColors = data.recentColors || [];
+
+        // Add the new color to the beginning of the recent colors list.
+        if (colorToSave && !recentColors.includes(colorToSave)) {
+            recentColors.unshift(colorToSave);
+        }
+        // Keep the list of recent colors to a maximum of 5.
+        if (recentColors.length > MAX_RECENT_COLORS) {
+            recentColors = recentColors.slice(0, MAX_RECENT_COLORS);
+        }
+
+        const settings = {
+            useCustomColor: true,
+            customColor: colorToSave,
+            recentColors: recentColors,
+        };
+
+        // Sync settings with the companion extension, unless kept local.
+        await saveScopedSettings(settings);
+
+        return recentColors; // Return the updated list for the UI.
+    } catch (error) {
+        console.error("Error saving custom color:", error);
+    }
+}
+
+/**
+ * Resets the clock to use the default theme color instead of a custom one.
+ */
+async function resetToDefault() {
+    // Sync the reset with the companion extension, unless the color is kept local.
+    await saveScopedSettings({ useCustomColor: false });
+}
+
+/**
+ * Saves display preferences like time format or leading zero (for the Hours extension).
+ * @param {object} settingsToSave - An object containing the settings to save (e.g., { use24HourFormat: true }).
+ */
+async function saveDisplayPreferences(settingsToSave) {
+    // Sync these display settings with the companion extension, unless kept local.
+    await saveScopedSettings(settingsToSave);
+}
+
+/**
+ * Saves preferences that only apply to this extension (e.g. the hours icon's
+ * combined HH:MM mode), without syncing them to the companion extension.
+ * @param {object} settingsToSave - An object containing the settings to save.
+ */
+async function saveExtensionPreferences(settingsToSave) {
+    await chrome.storage.sync.set(settingsToSave);
+}
+
+/**
+ * Saves the time zone shown by the icon and whether the companion extension follows it.
+ * @param {string} timeZone - An IANA zone name, or "" for the browser's local time.
+ * @param {boolean} shareTimeZone - If true, the zone is also applied to the companion extension.
+ */
+async function saveTimeZonePreferences(timeZone, shareTimeZone) {
+    await chrome.storage.sync.set({ timeZone, shareTimeZone });
+    if (shareTimeZone) {
+        await SharedSettings.syncFromPage({ timeZone });
+    }
+}
+
+/**
+ * Saves the list of labelled world clocks shown in the tooltip and shares it
+ * with the companion extension (unless kept local). Entries without a label or
+ * with an unknown zone are dropped.
+ * @param {{label: string, timeZone: string}[]} worldClocks - The clocks, in display order.
+ * @returns {Promise<{label: string, timeZone: string}[]>} The list that was actually saved.
+ */
+async function saveWorldClocks(worldClocks) {
+    const cleaned = SettingsSchema.fields.worldClocks.normalize(worldClocks) || [];
+    await saveScopedSettings({ worldClocks: cleaned });
+    return cleaned;
+}
+
+/**
+ * Saves the list of theme profiles and shares it with the companion extensions.
+ * @param {ThemeProfile[]} profiles - In display order.
+ * @returns {Promise<ThemeProfile[]>} The list that was actually saved.
+ * @throws {Error} If the list doesn't fit in one sync item, or storing it fails.
+ */
+async function saveProfiles(profiles) {
+    const cleaned = SettingsSchema.fields.profiles.normalize(profiles) || [];
+    if (!SettingsSchema.fitsItem("profiles", cleaned)) {
+        throw new Error("Profiles are full. Delete a profile or shorten its name first");
+    }
+    await saveScopedSettings({ profiles: cleaned });
+    return cleaned;
+}
+
+/**
+ * Saves the settings currently in effect as a new profile and makes it active.
+ * @param {string} name
+ * @returns {Promise<ThemeProfile[]>} The updated list.
+ */
+async function saveCurrentAsProfile(name) {
+    const settings = await SettingsSchema.loadEffective();
+    const profile = { id: crypto.randomUUID(), name, settings: {} };
+    SettingsSchema.getProfileKeys().forEach(key => {
+        profile.settings[key] = settings[key];
+    });
+    const profiles = await saveProfiles([...settings.profiles, profile]);
+    await saveScopedSettings({ activeProfileId: profile.id });
+    return profiles;
+}
+
+/**
+ * Applies a profile's settings. Companions switch to it too, except for
+ * settings they keep local.
+ * @param {string} profileId
+ */
+async function applyProfile(profileId) {
+    const { profiles } = await chrome.storage.sync.get({ profiles: SettingsSchema.fields.profiles.default });
+    const profile = profiles.find(entry => entry.id === profileId);
+    if (!profile) {
+        return;
+    }
+    await saveScopedSettings({ ...profile.settings, activeProfileId: profile.id });
+}
+
+/**
+ * Replaces stored settings with imported ones and sends the shared ones to
+ * the companion extensions.
+ * @param {object} settings - Validated settings (see SettingsSchema.parseExport).
+ */
+async function importSettings(settings) {
+    await chrome.storage.sync.set(settings);
+    const { shareTimeZone } = await chrome.storage.sync.get({ shareTimeZone: SettingsSchema.fields.shareTimeZone.default });
+    const shared = { ...settings };
+    if (!shareTimeZone) {
+        delete shared.timeZone;
+    }
+    await SharedSettings.syncFromPage(shared);
+}
+
+/**
+ * Loads all saved preferences from chrome.storage.sync, with this extension's
+ * local overrides applied. Defaults for anything not stored come from the
+ * settings schema.
+ * @returns {Promise<ClockSettings>} A promise that resolves with the user's settings.
+ */
+function loadSavedPreferences() {
+    return SettingsSchema.loadEffective();
+}
\ No newline at end of file
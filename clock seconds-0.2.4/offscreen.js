@@ -0,0 +1,140 @@
+// =================================================================
+// Optimized Offscreen Document
+// =================================================================
+// Receives drawing requests from the service worker and answers with pixels.
+// The drawing itself is in icon-renderer.js, which offscreen.html loads first.
+
+/**
+ * Main drawing function.
+ * This is now an async function that sends a message back when it's done.
+ * It no longer returns a promise that resolves internally.
+ * @param {object} data - The text and cacheKey, plus the style options read by renderIcon().
+ */
+async function drawIcon(data) {
+    const { text, cacheKey } = data;
+
+    try {
+        const serializableImageData = renderIconSet(text, data);
+
+        // **FIX:** Send a message back to the background script with the result.
+        await chrome.runtime.sendMessage({
+            type: 'icon-drawn',
+            imageData: serializableImageData,
+            cacheKey: cacheKey
+        });
+
+    } catch (error) {
+        console.error("Error drawing icon in offscreen document:", error);
+        // **FIX:** Send an error message back on failure.
+        await chrome.runtime.sendMessage({
+            type: 'icon-error',
+            error: error.message,
+            cacheKey: cacheKey
+        });
+    }
+}
+
+/**
+ * Draws a whole set of icons (e.g. all 60 seconds) and sends them back in a
+ * single 'icons-drawn' message instead of one message per icon.
+ * @param {object} data - The items ({text, cacheKey}), the shared style options and the batch cacheKey.
+ */
+async function drawIconBatch(data) {
+    const { items, cacheKey } = data;
+
+    try {
+        const icons = items.map(item => ({
+            cacheKey: item.cacheKey,
+            imageData: renderIconSet(item.text, data)
+        }));
+        await chrome.runtime.sendMessage({
+            type: 'icons-drawn',
+            icons: icons,
+            cacheKey: cacheKey
+        });
+    } catch (error) {
+        console.error("Error drawing icon batch in offscreen document:", error);
+        await chrome.runtime.sendMessage({
+            type: 'icon-error',
+            error: error.message,
+            cacheKey: cacheKey
+        });
+    }
+}
+
+// =================================================================
+// Ticker for units that change faster than chrome.alarms can fire
+// =================================================================
+
+let tickTimer = null;
+
+/**
+ * Sends a 'clock-tick' message to the background script on every interval
+ * boundary (e.g. each whole second), re-aligning after every tick so timer
+ * drift never accumulates.
+ * @param {number} intervalMs - The tick interval.
+ */
+function startTicker(intervalMs) {
+    clearTimeout(tickTimer);
+    const scheduleTick = () => {
+        const delay = intervalMs - (Date.now() % intervalMs);
+        tickTimer = setTimeout(() => {
+            chrome.runtime.sendMessage({ type: 'clock-tick' }).catch(error => {
+                console.error("Error sending clock tick:", error);
+            });
+            scheduleTick();
+        }, delay);
+    };
+    scheduleTick();
+}
+
+// =================================================================
+// Light/dark theme watcher
+// =================================================================
+
+let colorSchemeQuery = null;
+
+/**
+ * Reports the browser's color scheme to the background script now and
+ * whenever it changes. The service worker can't evaluate media queries itself.
+ */
+function watchColorScheme() {
+    const report = () => {
+        chrome.runtime.sendMessage({
+            type: 'color-scheme',
+            scheme: colorSchemeQuery.matches ? 'dark' : 'light'
+        }).catch(error => {
+            console.error("Error reporting color scheme:", error);
+        });
+    };
+    if (!colorSchemeQuery) {
+        colorSchemeQuery = matchMedia('(prefers-color-scheme: dark)');
+        colorSchemeQuery.addEventListener('change', report);
+    }
+    report();
+}
+
+/**
+ * Main message listener.
+ * This has been simplified to just call the drawing function.
+ */
+chrome.runtime.onMessage.addListener((message) => {
+    if (message.target === 'offscreen' && message.type === 'draw-icon') {
+        // The listener is no longer async, and it doesn't await a promise.
+        // It just triggers the drawIcon function, which will handle sending the response.
+        drawIcon(message.data);
+    }
+    if (message.target === 'offscreen' && message.type === 'draw-icon-batch') {
+        drawIconBatch(message.data);
+    }
+    if (message.target === 'offscreen' && message.type === 'start-ticker') {
+        startTicker(message.intervalMs);
+    }
+    if (message.target === 'offscreen' && message.type === 'watch-color-scheme') {
+        watchColorScheme();
+    }
+     // Added a listener for the health check to avoid timeouts.
+    if (message.type === 'health-check') {
+        chrome.runtime.sendMessage({ type: 'health-check-response', cacheKey: message.cacheKey });
+    }
+});
\ No newline at end of file
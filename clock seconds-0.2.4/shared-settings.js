@@ -0,0 +1,1033 @@
+// Shared settings service to sync settings between clock extensions
+//
+// Sync protocol (version 2). Requests look like
+//   { protocol: "chrome-clock-sync", version: 2, type: "hello" | "syncSettings", payload: {...} }
+// and every response is either
+//   { ok: true, version: 2, ... }  or  { ok: false, version: 2, error: { code, message } }.
+// Before syncing, a "hello" handshake agrees on the highest version both sides
+// support. Extensions from before the protocol existed (version 1) only
+// understand { action: "syncSettings", settings } and get only the keys they knew;
+// the rest wait in the outbox (see below) in case the companion was only slow.
+//
+// Conflicts are settled per key, last writer wins: every synced change carries
+// { updatedAt, origin } metadata, kept locally in chrome.storage.local. A receiver
+// only applies values newer than its own and answers with its newer values for
+// the rest, so both sides end up with the same settings.
+//
+// Companions are paired from the options page rather than hard-coded, since
+// unpacked builds get their own IDs. The manifest lets any extension connect
+// ("externally_connectable": { "ids": ["*"] }), so trust is decided here:
+// "hello" is answered for anyone, "pair" only with the one-time code the user
+// is shown on this extension's options page, everything else only from paired ones.
+// Each pair of clocks is paired separately: a companion's own pairings are
+// never taken on trust.
+//
+// Changes a companion couldn't receive wait in an outbox in chrome.storage.local
+// and are retried with exponential backoff, and as soon as that companion
+// contacts us, until they are delivered.
+const SharedSettings = {
+  // IDs of the published builds. They are what "Find companions" looks for, and
+  // the group an install starts with until the user changes its pairings.
+  HOURS_EXTENSION_ID: "egfobjkmaaifckcbenljfndfchlpjepd",
+  MINUTES_EXTENSION_ID: "cadnmcobelogaofkidefkblnogpllhda",
+  // Pinned by the "key" in the seconds extension's manifest.
+  SECONDS_EXTENSION_ID: "eoojlpinnebempfnmhaepdapimicifgo",
+
+  // chrome.storage.local key holding the paired companions as [{ id, name }].
+  // Local rather than sync: unpacked builds have different IDs on each machine.
+  PAIRED_STORAGE_KEY: "pairedExtensions",
+
+  // chrome.storage.session key holding the pairing code shown on the options
+  // page as { code, expiresAt }. Any pairing attempt uses it up.
+  PAIRING_CODE_STORAGE_KEY: "pairingCode",
+  PAIRING_CODE_LENGTH: 6,
+  PAIRING_CODE_TTL_MS: 5 * 60 * 1000,
+  pairingQueue: Promise.resolve(),
+
+  // chrome.runtime message type extension pages use to hand changes to the
+  // service worker (see syncFromPage).
+  PAGE_SYNC_MESSAGE: "shared-settings-sync",
+  // And the one they use to have it run one of PAGE_ACTIONS (see runFromPage).
+  // Only the service worker touches the outbox and sync metadata, so two
+  // read-modify-write updates can't overwrite each other.
+  PAGE_ACTION_MESSAGE: "shared-settings-action",
+  PAGE_ACTIONS: ["flushOutbox", "unpair", "pushSettings", "pullSettings"],
+
+  PROTOCOL: "chrome-clock-sync",
+  PROTOCOL_VERSION: 2,
+  SUPPORTED_VERSIONS: [1, 2],
+
+  // Settings a companion may change. Everything else (e.g. shareTimeZone or the
+  // hours-only display mode) belongs to each extension alone.
+  SYNCABLE_KEYS: [
+    "useCustomColor", "customColor", "recentColors", "autoThemeColor", "lightThemeColor",
+    "darkThemeColor", "iconShape", "shapeFillColor", "shapeStrokeColor", "shapePadding",
+    "fontFamily", "fontWeight", "fontStyle", "fontStretch",
+    "progressRingColor", "progressRingWidth", "progressRingStart", "badgeTextColor", "badgeBackgroundColor",
+    "use24HourFormat", "showLeadingZero", "timeZone", "worldClocks", "profiles", "activeProfileId"
+  ],
+  // The keys version 1 extensions synced; nothing newer is sent to them.
+  LEGACY_SYNCABLE_KEYS: ["useCustomColor", "customColor", "recentColors", "use24HourFormat", "showLeadingZero"],
+
+  ERROR_CODES: {
+    UNKNOWN_SENDER: "UNKNOWN_SENDER",
+    PAIRING_REFUSED: "PAIRING_REFUSED",
+    UNSUPPORTED_VERSION: "UNSUPPORTED_VERSION",
+    UNKNOWN_TYPE: "UNKNOWN_TYPE",
+    INVALID_PAYLOAD: "INVALID_PAYLOAD",
+    STORAGE_ERROR: "STORAGE_ERROR",
+    UNREACHABLE: "UNREACHABLE",
+    TIMEOUT: "TIMEOUT",
+  },
+
+  // How long to wait for a companion's reply. Version 1 listeners never answer
+  // a hello, so the handshake falls back to version 1 for that send when this
+  // runs out. A companion that is only slow to start is asked again next time.
+  RESPONSE_TIMEOUT_MS: 2000,
+
+  // Negotiated protocol version per companion, for the lifetime of this context.
+  peerVersions: {},
+
+  // chrome.storage.local key holding { [settingKey]: { updatedAt, origin } }.
+  META_STORAGE_KEY: "syncMetadata",
+
+  // Merges run one at a time so two incoming messages can't interleave their
+  // read-compare-write of the same keys.
+  mergeQueue: Promise.resolve(),
+
+  // chrome.storage.local key holding undelivered changes per companion:
+  // { [id]: { settings, meta, attempts, queuedAt, nextAttemptAt, failed, lastError } }.
+  OUTBOX_STORAGE_KEY: "syncOutbox",
+  OUTBOX_ALARM_NAME: "sync-outbox-retry",
+  // Retries wait 30 s, 1 min, 2 min... up to an hour. After OUTBOX_MAX_ATTEMPTS
+  // the entry is shown as failed but is still retried hourly.
+  OUTBOX_RETRY_BASE_MS: 30 * 1000,
+  OUTBOX_RETRY_MAX_MS: 60 * 60 * 1000,
+  OUTBOX_MAX_ATTEMPTS: 6,
+  outboxQueue: Promise.resolve(),
+
+  // The published builds, other than this one.
+  getKnownCompanionIds: function() {
+    return [this.HOURS_EXTENSION_ID, this.MINUTES_EXTENSION_ID, this.SECONDS_EXTENSION_ID]
+      .filter(id => id !== chrome.runtime.id);
+  },
+
+  isValidExtensionId: function(id) {
+    return typeof id === "string" && /^[a-p]{32}$/.test(id);
+  },
+
+  // --- Pairing ---
+
+  /**
+   * Loads the paired companions. Until anything has been stored, that is the
+   * published builds, so existing installs keep syncing after an update.
+   * @returns {Promise<{id: string, name: string}[]>}
+   */
+  loadPairedExtensions: async function() {
+    const { [this.PAIRED_STORAGE_KEY]: stored } = await chrome.storage.local.get(this.PAIRED_STORAGE_KEY);
+    if (!Array.isArray(stored)) {
+      return this.getKnownCompanionIds().map(id => ({ id, name: "" }));
+    }
+    return stored.filter(entry => entry && this.isValidExtensionId(entry.id));
+  },
+
+  savePairedExtensions: function(paired) {
+    return chrome.storage.local.set({ [this.PAIRED_STORAGE_KEY]: paired });
+  },
+
+  // The other members of the sync group.
+  getCompanionIds: async function() {
+    const paired = await this.loadPairedExtensions();
+    return paired.map(entry => entry.id).filter(id => id !== chrome.runtime.id);
+  },
+
+  isPaired: async function(id) {
+    const companionIds = await this.getCompanionIds();
+    return companionIds.includes(id);
+  },
+
+  /**
+   * Adds a companion to the paired list, or updates its name.
+   * @returns {Promise<boolean>} True if it wasn't paired before.
+   */
+  addPairedExtension: async function(id, name) {
+    const paired = await this.loadPairedExtensions();
+    const existing = paired.find(entry => entry.id === id);
+    if (existing) {
+      if (name && existing.name !== name) {
+        existing.name = name;
+        await this.savePairedExtensions(paired);
+      }
+      return false;
+    }
+    paired.push({ id, name: name || "" });
+    await this.savePairedExtensions(paired);
+    return true;
+  },
+
+  removePairedExtension: async function(id) {
+    const paired = await this.loadPairedExtensions();
+    await this.savePairedExtensions(paired.filter(entry => entry.id !== id));
+    delete this.peerVersions[id];
+    await this.takeOutboxEntry(id);
+  },
+
+  /**
+   * Says hello to each candidate and returns those that answer.
+   * @param {string[]} [candidateIds] - Defaults to the published builds.
+   * @returns {Promise<{id: string, name: string, version: number}[]>}
+   */
+  discoverCompanions: async function(candidateIds = this.getKnownCompanionIds()) {
+    const found = await Promise.all(candidateIds.map(async id => {
+      try {
+        const response = await this.sendExternalMessage(id,
+          this.buildMessage("hello", { supportedVersions: this.SUPPORTED_VERSIONS }));
+        if (response && response.ok) {
+          return { id, name: response.name || "", version: response.version };
+        }
+      } catch (error) {
+        // Not installed, or too old to answer.
+      }
+      return null;
+    }));
+    return found.filter(Boolean);
+  },
+
+  /**
+   * Creates a one-time code that lets one companion pair with this extension,
+   * replacing any earlier code.
+   * @returns {Promise<{code: string, expiresAt: number}>}
+   */
+  createPairingCode: async function() {
+    const digits = crypto.getRandomValues(new Uint32Array(this.PAIRING_CODE_LENGTH));
+    const pairingCode = {
+      code: Array.from(digits, value => value % 10).join(""),
+      expiresAt: Date.now() + this.PAIRING_CODE_TTL_MS,
+    };
+    await chrome.storage.session.set({ [this.PAIRING_CODE_STORAGE_KEY]: pairingCode });
+    return pairingCode;
+  },
+
+  /**
+   * Returns the pairing code on offer, if it hasn't expired.
+   * @returns {Promise<?{code: string, expiresAt: number}>}
+   */
+  loadPairingCode: async function() {
+    const { [this.PAIRING_CODE_STORAGE_KEY]: stored } = await chrome.storage.session.get(this.PAIRING_CODE_STORAGE_KEY);
+    return stored && stored.expiresAt > Date.now() ? stored : null;
+  },
+
+  /**
+   * Checks the code sent with a pairing request. Right or wrong, the code is
+   * used up, so it can't be guessed by trying again.
+   * @returns {Promise<boolean>}
+   */
+  consumePairingCode: function(code) {
+    const run = async () => {
+      const stored = await this.loadPairingCode();
+      await chrome.storage.session.remove(this.PAIRING_CODE_STORAGE_KEY);
+      return Boolean(stored) && typeof code === "string" && code === stored.code;
+    };
+    this.pairingQueue = this.pairingQueue.then(run, run);
+    return this.pairingQueue;
+  },
+
+  /**
+   * Pairs with a companion, using the code shown on its options page.
+   * @param {string} targetExtensionId
+   * @param {string} code - The companion's one-time pairing code.
+   * @returns {Promise<boolean>} True if it wasn't paired before.
+   * @throws {Error} With a `code` from ERROR_CODES if the companion can't pair.
+   */
+  pairWith: async function(targetExtensionId, code) {
+    if (!this.isValidExtensionId(targetExtensionId) || targetExtensionId === chrome.runtime.id) {
+      const error = new Error(`Not a companion's extension ID: ${targetExtensionId}`);
+      error.code = this.ERROR_CODES.INVALID_PAYLOAD;
+      throw error;
+    }
+    const response = await this.sendExternalMessage(targetExtensionId,
+      this.buildMessage("pair", { name: chrome.runtime.getManifest().name, code }));
+    if (!response || !response.ok) {
+      const error = new Error(response && response.error ? response.error.message : "Pairing was refused");
+      error.code = response && response.error ? response.error.code : this.ERROR_CODES.UNKNOWN_TYPE;
+      throw error;
+    }
+    return this.addPairedExtension(targetExtensionId, response.name);
+  },
+
+  /**
+   * Forgets a companion and asks it to forget this extension too.
+   * @param {string} targetExtensionId
+   */
+  unpair: async function(targetExtensionId) {
+    await this.removePairedExtension(targetExtensionId);
+    try {
+      await this.sendExternalMessage(targetExtensionId, this.buildMessage("unpair", {}));
+    } catch (error) {
+      // It may be uninstalled; forgetting it here is all that matters.
+    }
+  },
+
+  // --- Receiving ---
+
+  // This will be called from the background script
+  initBackgroundListener: function() {
+    chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+      console.log("Received external message from:", sender.id, message);
+      this.handleExternalMessage(message, sender)
+        .then(sendResponse)
+        .catch(error => {
+          sendResponse(this.errorResponse(this.ERROR_CODES.STORAGE_ERROR, error.message));
+        });
+      // The companion is evidently reachable: deliver anything waiting for it.
+      this.flushOutbox({ ids: [sender.id] });
+      // Return true to indicate you wish to send a response asynchronously
+      return true;
+    });
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (!message || message.type !== this.PAGE_ACTION_MESSAGE || sender.id !== chrome.runtime.id) {
+        return;
+      }
+      if (!this.PAGE_ACTIONS.includes(message.action)) {
+        sendResponse({ ok: false, error: { message: `Unknown action: ${message.action}` } });
+        return;
+      }
+      // The page waits for the result, e.g. to show whether a retry worked.
+      this[message.action](...(message.args || []))
+        .then(() => sendResponse({ ok: true }))
+        .catch(error => {
+          console.error(`SYNC: Error running ${message.action} for a page:`, error);
+          sendResponse({ ok: false, error: { message: error.message } });
+        });
+      return true;
+    });
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (!message || message.type !== this.PAGE_SYNC_MESSAGE || sender.id !== chrome.runtime.id) {
+        return;
+      }
+      // Pending work keeps the service worker alive until the sync is done.
+      this.syncSettings(message.settings).catch(error => {
+        console.error("SYNC: Error syncing settings from a page:", error);
+      });
+      sendResponse({ ok: true });
+    });
+    chrome.alarms.onAlarm.addListener(alarm => {
+      if (alarm.name === this.OUTBOX_ALARM_NAME) {
+        this.flushOutbox();
+      }
+    });
+    this.flushOutbox();
+    console.log("SharedSettings external message listener initialized in background.");
+  },
+
+  /**
+   * Validates and dispatches one message from another extension.
+   * @returns {Promise<object>} The response to send back.
+   */
+  handleExternalMessage: async function(message, sender) {
+    if (!sender || !sender.id || sender.id === chrome.runtime.id) {
+      return this.errorResponse(this.ERROR_CODES.UNKNOWN_SENDER, "Messages must come from another extension");
+    }
+    if (!message || typeof message !== "object") {
+      return this.errorResponse(this.ERROR_CODES.INVALID_PAYLOAD, "Message must be an object");
+    }
+    const notPaired = () => this.errorResponse(this.ERROR_CODES.UNKNOWN_SENDER, `Extension ${sender.id} is not paired`);
+
+    // Version 1: { action: "syncSettings", settings }
+    if (message.protocol === undefined && message.action === "syncSettings") {
+      if (!await this.isPaired(sender.id)) {
+        return notPaired();
+      }
+      return this.applyReceivedSettings(message.settings, 1, null, sender.id);
+    }
+
+    if (message.protocol !== this.PROTOCOL) {
+      return this.errorResponse(this.ERROR_CODES.UNKNOWN_TYPE, "Not a clock sync message");
+    }
+    if (message.type === "hello") {
+      return {
+        ok: true,
+        version: this.PROTOCOL_VERSION,
+        supportedVersions: this.SUPPORTED_VERSIONS,
+        extensionId: chrome.runtime.id,
+        name: chrome.runtime.getManifest().name,
+      };
+    }
+    if (!this.SUPPORTED_VERSIONS.includes(message.version)) {
+      return this.errorResponse(this.ERROR_CODES.UNSUPPORTED_VERSION,
+        `Version ${message.version} is not supported`, { supportedVersions: this.SUPPORTED_VERSIONS });
+    }
+    if (message.type === "pair") {
+      // The code proves the user is pairing on purpose: it is only shown on
+      // this extension's options page.
+      const payload = message.payload || {};
+      if (!await this.consumePairingCode(payload.code)) {
+        return this.errorResponse(this.ERROR_CODES.PAIRING_REFUSED, "Wrong or expired pairing code");
+      }
+      const name = typeof payload.name === "string" ? payload.name.slice(0, 100) : "";
+      await this.addPairedExtension(sender.id, name);
+      return {
+        ok: true,
+        version: message.version,
+        extensionId: chrome.runtime.id,
+        name: chrome.runtime.getManifest().name,
+      };
+    }
+    if (!await this.isPaired(sender.id)) {
+      return notPaired();
+    }
+    if (message.type === "unpair") {
+      await this.removePairedExtension(sender.id);
+      return { ok: true, version: message.version };
+    }
+    if (message.type === "ping") {
+      return { ok: true, version: message.version, receivedAt: Date.now() };
+    }
+    if (message.type === "getSettings") {
+      const { shareTimeZone } = await chrome.storage.sync.get({ shareTimeZone: SettingsSchema.fields.shareTimeZone.default });
+      return {
+        ok: true,
+        version: message.version,
+        settings: await this.getSyncableSettings(),
+        shareTimeZone,
+      };
+    }
+    if (message.type === "syncSettings") {
+      const payload = message.payload || {};
+      return this.applyReceivedSettings(payload.settings, message.version, payload.meta, sender.id);
+    }
+    return this.errorResponse(this.ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${message.type}`);
+  },
+
+  /**
+   * Checks a partial settings object against the sync whitelist and the schema.
+   * @param {object} settings
+   * @param {string[]} allowedKeys
+   * @returns {{settings: object, errors: {key: string, message: string}[]}}
+   */
+  validateSyncPayload: function(settings, allowedKeys) {
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      return { settings: {}, errors: [{ key: "settings", message: "Settings must be an object" }] };
+    }
+    const allowed = {};
+    const errors = [];
+    Object.keys(settings).forEach(key => {
+      if (allowedKeys.includes(key)) {
+        allowed[key] = settings[key];
+      } else {
+        errors.push({ key, message: "Setting is not synced" });
+      }
+    });
+    const validation = SettingsSchema.validate(allowed);
+    return { settings: validation.settings, errors: errors.concat(validation.errors) };
+  },
+
+  /**
+   * Merges the valid, whitelisted part of a companion's settings into storage.
+   * @param {object} settings - The received settings.
+   * @param {number} version - The protocol version they arrived with.
+   * @param {?object} meta - Per-key { updatedAt, origin }; version 1 messages have none.
+   * @param {string} senderId - Origin assumed for keys without metadata.
+   * @returns {Promise<object>} A protocol response listing what was applied, and
+   *     this extension's values for keys where the companion's were older.
+   */
+  applyReceivedSettings: async function(settings, version, meta, senderId) {
+    console.log("Applying received settings:", settings);
+    const validation = this.validateSyncPayload(settings, this.SYNCABLE_KEYS);
+    const valid = validation.settings;
+    if (Object.keys(valid).length === 0 && validation.errors.length > 0) {
+      return this.errorResponse(this.ERROR_CODES.INVALID_PAYLOAD, "No valid settings in message", { rejected: validation.errors });
+    }
+    let result;
+    try {
+      result = await this.mergeSettings(valid, meta, senderId);
+    } catch (error) {
+      console.error("Error applying settings:", error);
+      return this.errorResponse(this.ERROR_CODES.STORAGE_ERROR, error.message);
+    }
+    const response = {
+      ok: true,
+      version: version,
+      status: "Settings received",
+      applied: result.applied,
+      unchanged: result.unchanged,
+      stale: result.stale,
+      rejected: validation.errors,
+    };
+    if (result.stale.length > 0) {
+      response.newer = result.newer;
+    }
+    return response;
+  },
+
+  // --- Conflict resolution ---
+
+  /**
+   * Returns the metadata entry if it is well formed, otherwise undefined.
+   * @param {*} entry
+   * @returns {{updatedAt: number, origin: string}|undefined}
+   */
+  normalizeMeta: function(entry) {
+    if (!entry || !Number.isFinite(entry.updatedAt) || typeof entry.origin !== "string") {
+      return undefined;
+    }
+    return { updatedAt: entry.updatedAt, origin: entry.origin };
+  },
+
+  /**
+   * Whether change `a` wins over change `b`. Equal timestamps are settled by
+   * comparing origins, so every extension picks the same winner.
+   */
+  isNewer: function(a, b) {
+    if (a.updatedAt !== b.updatedAt) {
+      return a.updatedAt > b.updatedAt;
+    }
+    return a.origin > b.origin;
+  },
+
+  loadMetadata: async function() {
+    const { [this.META_STORAGE_KEY]: meta } = await chrome.storage.local.get(this.META_STORAGE_KEY);
+    return meta || {};
+  },
+
+  /**
+   * Records that this extension just changed the given keys.
+   * @param {string[]} keys
+   * @returns {Promise<object>} Metadata for exactly those keys.
+   */
+  stampLocalChanges: function(keys) {
+    const run = async () => {
+      const stamp = { updatedAt: Date.now(), origin: chrome.runtime.id };
+      const meta = await this.loadMetadata();
+      const stamped = {};
+      keys.forEach(key => {
+        meta[key] = stamp;
+        stamped[key] = stamp;
+      });
+      await chrome.storage.local.set({ [this.META_STORAGE_KEY]: meta });
+      return stamped;
+    };
+    this.mergeQueue = this.mergeQueue.then(run, run);
+    return this.mergeQueue;
+  },
+
+  /**
+   * Applies each key whose incoming change is newer than the local one.
+   * Values equal to what is stored only update the metadata, so nothing is
+   * rewritten (and no icon redrawn) when a change comes back as an echo.
+   * @param {object} settings - Validated settings.
+   * @param {?object} meta - Per-key metadata from the sender.
+   * @param {string} defaultOrigin - Origin for keys without metadata.
+   * @returns {Promise<{applied: string[], unchanged: string[], stale: string[], newer: {settings: object, meta: object}}>}
+   */
+  mergeSettings: function(settings, meta, defaultOrigin) {
+    const run = () => this.runMerge(settings, meta || {}, defaultOrigin);
+    this.mergeQueue = this.mergeQueue.then(run, run);
+    return this.mergeQueue;
+  },
+
+  runMerge: async function(settings, meta, defaultOrigin) {
+    const receivedAt = Date.now();
+    const keys = Object.keys(settings);
+    const defaults = {};
+    keys.forEach(key => {
+      defaults[key] = SettingsSchema.fields[key].default;
+    });
+    const [current, localMeta, { shareTimeZone }] = await Promise.all([
+      chrome.storage.sync.get(defaults),
+      this.loadMetadata(),
+      chrome.storage.sync.get({ shareTimeZone: SettingsSchema.fields.shareTimeZone.default }),
+    ]);
+
+    const result = { applied: [], unchanged: [], stale: [], newer: { settings: {}, meta: {} } };
+    const updates = {};
+    keys.forEach(key => {
+      // A companion's time zone is ignored when this extension keeps its own.
+      if (key === "timeZone" && !shareTimeZone) {
+        result.unchanged.push(key);
+        return;
+      }
+      const incoming = this.normalizeMeta(meta[key]) || { updatedAt: receivedAt, origin: defaultOrigin };
+      const local = this.normalizeMeta(localMeta[key]) || { updatedAt: 0, origin: "" };
+      // Our own change relayed back to us: nothing to do.
+      if (incoming.origin === chrome.runtime.id) {
+        result.unchanged.push(key);
+        return;
+      }
+      if (!this.isNewer(incoming, local)) {
+        result.stale.push(key);
+        result.newer.settings[key] = current[key];
+        result.newer.meta[key] = local;
+        return;
+      }
+      localMeta[key] = incoming;
+      if (JSON.stringify(current[key]) === JSON.stringify(settings[key])) {
+        result.unchanged.push(key);
+      } else {
+        updates[key] = settings[key];
+        result.applied.push(key);
+      }
+    });
+
+    if (result.applied.length > 0) {
+      await chrome.storage.sync.set(updates);
+    }
+    if (result.applied.length > 0 || result.unchanged.length > 0) {
+      await chrome.storage.local.set({ [this.META_STORAGE_KEY]: localMeta });
+    }
+    return result;
+  },
+
+  errorResponse: function(code, message, details = {}) {
+    return { ok: false, version: this.PROTOCOL_VERSION, error: { code, message, ...details } };
+  },
+
+  // --- Sending ---
+
+  /**
+   * Sends a message to another extension and resolves with its response.
+   * Rejects with an Error carrying a `code` from ERROR_CODES if the extension
+   * can't be reached or doesn't answer in time.
+   */
+  sendExternalMessage: function(targetExtensionId, message, timeoutMs = this.RESPONSE_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+      const fail = (code, text) => {
+        const error = new Error(text);
+        error.code = code;
+        reject(error);
+      };
+      const timeout = setTimeout(() => fail(this.ERROR_CODES.TIMEOUT, "No response from companion"), timeoutMs);
+      chrome.runtime.sendMessage(targetExtensionId, message, (response) => {
+        clearTimeout(timeout);
+        if (chrome.runtime.lastError) {
+          fail(this.ERROR_CODES.UNREACHABLE, chrome.runtime.lastError.message);
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  },
+
+  buildMessage: function(type, payload, version = this.PROTOCOL_VERSION) {
+    return { protocol: this.PROTOCOL, version, type, payload };
+  },
+
+  /**
+   * Agrees on a protocol version with a companion via the "hello" handshake.
+   * A companion that doesn't answer a hello is treated as version 1, but that
+   * is only remembered once it answers like one (see sendSettings).
+   * @returns {Promise<number>}
+   */
+  negotiateVersion: async function(targetExtensionId) {
+    if (this.peerVersions[targetExtensionId]) {
+      return this.peerVersions[targetExtensionId];
+    }
+    let version = 1;
+    try {
+      const response = await this.sendExternalMessage(targetExtensionId,
+        this.buildMessage("hello", { supportedVersions: this.SUPPORTED_VERSIONS }));
+      if (response && response.ok && Array.isArray(response.supportedVersions)) {
+        const common = response.supportedVersions.filter(v => this.SUPPORTED_VERSIONS.includes(v));
+        version = common.length > 0 ? Math.max(...common) : 1;
+      }
+    } catch (error) {
+      if (error.code === this.ERROR_CODES.UNREACHABLE) {
+        throw error;
+      }
+      // TIMEOUT: a version 1 listener keeps the channel open without replying,
+      // but so does a companion whose service worker is slow to start.
+      return 1;
+    }
+    this.peerVersions[targetExtensionId] = version;
+    return version;
+  },
+
+  /**
+   * Sends settings to one companion in the format it understands.
+   * @returns {Promise<object>} The companion's response. For version 1, `unsupported`
+   *     lists the keys that couldn't be sent.
+   */
+  sendSettings: async function(targetExtensionId, settings, meta) {
+    const version = await this.negotiateVersion(targetExtensionId);
+    if (version === 1) {
+      const legacySettings = {};
+      const unsupported = [];
+      Object.keys(settings).forEach(key => {
+        if (this.LEGACY_SYNCABLE_KEYS.includes(key)) {
+          legacySettings[key] = settings[key];
+        } else {
+          unsupported.push(key);
+        }
+      });
+      const response = { ok: true, version: 1, applied: [], unsupported };
+      if (Object.keys(legacySettings).length === 0) {
+        return response;
+      }
+      const reply = await this.sendExternalMessage(targetExtensionId, { action: "syncSettings", settings: legacySettings });
+      if (reply && reply.ok === false) {
+        return reply;
+      }
+      if (reply && reply.ok === undefined) {
+        // Only a version 1 listener answers without `ok`; stop asking it hello.
+        this.peerVersions[targetExtensionId] = 1;
+      }
+      response.applied = Object.keys(legacySettings);
+      return response;
+    }
+    const response = await this.sendExternalMessage(targetExtensionId,
+      this.buildMessage("syncSettings", { settings, meta }, version));
+    if (response && !response.ok && response.error && response.error.code === this.ERROR_CODES.UNSUPPORTED_VERSION) {
+      // The companion changed version since the handshake; negotiate again next time.
+      delete this.peerVersions[targetExtensionId];
+    }
+    return response;
+  },
+
+  // Sync settings the user just changed here to every companion extension
+  syncSettings: async function(settings) {
+    console.log("Syncing settings to companion extensions:", settings);
+    const syncable = {};
+    Object.keys(settings).forEach(key => {
+      if (this.SYNCABLE_KEYS.includes(key)) {
+        syncable[key] = settings[key];
+      }
+    });
+    const meta = await this.stampLocalChanges(Object.keys(syncable));
+    const companionIds = await this.getCompanionIds();
+    const results = await Promise.all(companionIds.map(targetExtensionId => {
+      console.log("SYNC: Sending message to:", targetExtensionId);
+      return this.deliverSettings(targetExtensionId, syncable, meta);
+    }));
+    await this.scheduleOutboxRetry();
+    return results;
+  },
+
+  /**
+   * Syncs settings the user just changed on an extension page. The service
+   * worker stamps, sends and queues them, so closing the popup can't cut the
+   * sync short. Resolves once the service worker has taken them over.
+   * @param {object} settings
+   */
+  syncFromPage: function(settings) {
+    return chrome.runtime.sendMessage({ type: this.PAGE_SYNC_MESSAGE, settings });
+  },
+
+  /**
+   * Has the service worker run one of PAGE_ACTIONS, e.g.
+   * runFromPage("pullSettings", [id]). Resolves once it is done.
+   * @param {string} action
+   * @param {Array} [args] - Must survive being sent as a message.
+   * @throws {Error} With the service worker's message if the action failed.
+   */
+  runFromPage: async function(action, args = []) {
+    const response = await chrome.runtime.sendMessage({ type: this.PAGE_ACTION_MESSAGE, action, args });
+    if (!response || !response.ok) {
+      throw new Error(response && response.error ? response.error.message : `${action} got no answer`);
+    }
+  },
+
+  /**
+   * Sends settings to one companion together with anything still in its
+   * outbox. If that fails, all of it goes (back) into the outbox.
+   * @returns {Promise<{targetExtensionId: string, response?: object, error?: Error}>}
+   */
+  deliverSettings: async function(targetExtensionId, settings, meta) {
+    const pending = await this.takeOutboxEntry(targetExtensionId);
+    const allSettings = { ...(pending ? pending.settings : {}), ...settings };
+    const allMeta = { ...(pending ? pending.meta : {}), ...meta };
+    if (Object.keys(allSettings).length === 0) {
+      return { targetExtensionId, response: { ok: true, version: this.PROTOCOL_VERSION, applied: [] } };
+    }
+    try {
+      const response = await this.sendSettings(targetExtensionId, allSettings, allMeta);
+      if (response && response.ok) {
+        console.log("SYNC: Message sent successfully, response:", response);
+        // The companion had newer values for some keys; adopt them.
+        if (response.newer) {
+          const validation = this.validateSyncPayload(response.newer.settings, this.SYNCABLE_KEYS);
+          await this.mergeSettings(validation.settings, response.newer.meta, targetExtensionId);
+        }
+        if (response.unsupported && response.unsupported.length > 0) {
+          await this.enqueueUnsupported(targetExtensionId, response.unsupported, allSettings, allMeta, pending);
+        }
+      } else {
+        console.error("SYNC: Companion rejected settings:", response && response.error);
+        const error = response && response.error ? response.error : { code: this.ERROR_CODES.UNKNOWN_TYPE, message: "No response" };
+        await this.enqueueOutbox(targetExtensionId, allSettings, allMeta, error, pending);
+      }
+      return { targetExtensionId, response };
+    } catch (error) {
+      console.error("SYNC: Error sending message:", error.message);
+      await this.enqueueOutbox(targetExtensionId, allSettings, allMeta, { code: error.code, message: error.message }, pending);
+      return { targetExtensionId, error };
+    }
+  },
+
+  // --- Outbox ---
+
+  loadOutbox: async function() {
+    const { [this.OUTBOX_STORAGE_KEY]: outbox } = await chrome.storage.local.get(this.OUTBOX_STORAGE_KEY);
+    return outbox || {};
+  },
+
+  // Runs read-modify-writes of the outbox one at a time.
+  updateOutbox: function(update) {
+    const run = async () => {
+      const outbox = await this.loadOutbox();
+      const before = JSON.stringify(outbox);
+      const result = update(outbox);
+      if (JSON.stringify(outbox) !== before) {
+        await chrome.storage.local.set({ [this.OUTBOX_STORAGE_KEY]: outbox });
+      }
+      return result;
+    };
+    this.outboxQueue = this.outboxQueue.then(run, run);
+    return this.outboxQueue;
+  },
+
+  /**
+   * Removes and returns a companion's outbox entry, if it has one.
+   * @returns {Promise<?object>}
+   */
+  takeOutboxEntry: function(targetExtensionId) {
+    return this.updateOutbox(outbox => {
+      const entry = outbox[targetExtensionId] || null;
+      delete outbox[targetExtensionId];
+      return entry;
+    });
+  },
+
+  /**
+   * Stores undelivered settings for a companion and works out the next retry.
+   * @param {string} targetExtensionId
+   * @param {object} settings
+   * @param {object} meta
+   * @param {{code: string, message: string}} error - Why delivery failed.
+   * @param {?object} previous - The entry these settings were taken from, if any.
+   */
+  enqueueOutbox: function(targetExtensionId, settings, meta, error, previous) {
+    const now = Date.now();
+    const attempts = (previous ? previous.attempts : 0) + 1;
+    const delay = Math.min(this.OUTBOX_RETRY_BASE_MS * 2 ** (attempts - 1), this.OUTBOX_RETRY_MAX_MS);
+    // Rejections other than these won't go away by waiting.
+    const retryable = [this.ERROR_CODES.UNREACHABLE, this.ERROR_CODES.TIMEOUT, this.ERROR_CODES.STORAGE_ERROR].includes(error.code);
+    const failed = !retryable || attempts >= this.OUTBOX_MAX_ATTEMPTS;
+    return this.updateOutbox(outbox => {
+      // Changes queued meanwhile by another page are newer than these.
+      const queued = outbox[targetExtensionId];
+      outbox[targetExtensionId] = {
+        settings: { ...settings, ...(queued ? queued.settings : {}) },
+        meta: { ...meta, ...(queued ? queued.meta : {}) },
+        attempts,
+        queuedAt: previous ? previous.queuedAt : now,
+        // Failed entries wait for the user's "Retry now" instead.
+        nextAttemptAt: failed ? null : now + delay,
+        failed,
+        lastError: { code: error.code || null, message: error.message || "" },
+      };
+    });
+  },
+
+  /**
+   * Keeps the settings a version 1 send left out. If the companion only looked
+   * like version 1 because it was slow to answer, they go out on the next retry;
+   * if it really is version 1, the entry ends up shown as failed.
+   */
+  enqueueUnsupported: function(targetExtensionId, keys, settings, meta, pending) {
+    const leftSettings = {};
+    const leftMeta = {};
+    keys.forEach(key => {
+      leftSettings[key] = settings[key];
+      if (meta[key]) {
+        leftMeta[key] = meta[key];
+      }
+    });
+    const confirmed = this.peerVersions[targetExtensionId] === 1;
+    const error = confirmed
+      ? { code: this.ERROR_CODES.UNSUPPORTED_VERSION, message: `Companion uses sync version 1 and can't take: ${keys.join(", ")}` }
+      : { code: this.ERROR_CODES.TIMEOUT, message: "Companion didn't answer the version handshake" };
+    return this.enqueueOutbox(targetExtensionId, leftSettings, leftMeta, error, pending);
+  },
+
+  /**
+   * Retries outbox entries.
+   * @param {{ids?: string[], force?: boolean}} [options] - Only these companions;
+   *     `force` or `ids` retry without waiting for the backoff. Failed entries
+   *     are only retried with `force`.
+   */
+  flushOutbox: async function({ ids = null, force = false } = {}) {
+    try {
+      const outbox = await this.loadOutbox();
+      const now = Date.now();
+      const due = Object.keys(outbox).filter(id => {
+        if (ids && !ids.includes(id)) {
+          return false;
+        }
+        if (outbox[id].failed) {
+          return force;
+        }
+        return force || ids || outbox[id].nextAttemptAt <= now;
+      });
+      if (due.length === 0) {
+        return;
+      }
+      const companionIds = await this.getCompanionIds();
+      await Promise.all(due.map(id => companionIds.includes(id)
+        ? this.deliverSettings(id, {}, {})
+        : this.takeOutboxEntry(id)));
+      await this.scheduleOutboxRetry();
+    } catch (error) {
+      console.error("SYNC: Error retrying outbox:", error);
+    }
+  },
+
+  // Arms the retry alarm for the earliest pending entry, or clears it.
+  scheduleOutboxRetry: async function() {
+    const entries = Object.values(await this.loadOutbox()).filter(entry => !entry.failed);
+    if (entries.length === 0) {
+      await chrome.alarms.clear(this.OUTBOX_ALARM_NAME);
+      return;
+    }
+    const earliest = Math.min(...entries.map(entry => entry.nextAttemptAt));
+    // Chrome doesn't fire alarms sooner than 30 seconds out.
+    await chrome.alarms.create(this.OUTBOX_ALARM_NAME, { when: Math.max(earliest, Date.now() + this.OUTBOX_RETRY_BASE_MS) });
+  },
+
+  // --- Diagnostics ---
+
+  /**
+   * Returns this extension's current values of every synced setting.
+   * @returns {Promise<object>}
+   */
+  getSyncableSettings: async function() {
+    const settings = await SettingsSchema.load();
+    const syncable = {};
+    this.SYNCABLE_KEYS.forEach(key => {
+      syncable[key] = settings[key];
+    });
+    return syncable;
+  },
+
+  /**
+   * Lists the synced settings whose values differ.
+   * @returns {{key: string, mine: *, theirs: *}[]}
+   */
+  diffSettings: function(mine, theirs, keys = this.SYNCABLE_KEYS) {
+    return keys
+      .filter(key => JSON.stringify(mine[key]) !== JSON.stringify(theirs[key]))
+      .map(key => ({ key, mine: mine[key], theirs: theirs[key] }));
+  },
+
+  /**
+   * Round-trips with one companion: is it installed and answering, which
+   * protocol version it speaks, how long a ping takes and whether its settings
+   * match ours.
+   * @param {string} targetExtensionId
+   * @returns {Promise<object>} { id, installed, reachable, latencyMs, version, inSync, differences, error }
+   */
+  diagnoseCompanion: async function(targetExtensionId) {
+    const result = {
+      id: targetExtensionId,
+      installed: false,
+      reachable: false,
+      latencyMs: null,
+      version: null,
+      inSync: null,
+      differences: [],
+      error: null,
+    };
+    try {
+      // Ask again rather than trusting a version negotiated earlier.
+      delete this.peerVersions[targetExtensionId];
+      result.version = await this.negotiateVersion(targetExtensionId);
+      result.installed = true;
+      if (result.version === 1) {
+        result.error = this.peerVersions[targetExtensionId] === 1
+          ? "Companion is too old to report its settings"
+          : "Companion didn't answer the version handshake";
+        return result;
+      }
+
+      const startedAt = performance.now();
+      const pong = await this.sendExternalMessage(targetExtensionId, this.buildMessage("ping", {}, result.version));
+      result.latencyMs = Math.round(performance.now() - startedAt);
+      if (!pong || !pong.ok) {
+        result.error = pong && pong.error ? pong.error.message : "Ping was refused";
+        return result;
+      }
+      result.reachable = true;
+
+      const response = await this.sendExternalMessage(targetExtensionId, this.buildMessage("getSettings", {}, result.version));
+      if (!response || !response.ok) {
+        result.error = response && response.error ? response.error.message : "Settings request was refused";
+        return result;
+      }
+      const mine = await this.getSyncableSettings();
+      const { shareTimeZone } = await chrome.storage.sync.get({ shareTimeZone: SettingsSchema.fields.shareTimeZone.default });
+      // Zones are expected to differ when either side keeps its own.
+      const keys = shareTimeZone && response.shareTimeZone
+        ? this.SYNCABLE_KEYS
+        : this.SYNCABLE_KEYS.filter(key => key !== "timeZone");
+      const theirs = this.validateSyncPayload(response.settings, this.SYNCABLE_KEYS).settings;
+      result.differences = this.diffSettings(mine, theirs, keys);
+      result.inSync = result.differences.length === 0;
+    } catch (error) {
+      result.installed = error.code !== this.ERROR_CODES.UNREACHABLE;
+      result.error = error.code === this.ERROR_CODES.UNREACHABLE ? "Not installed or disabled" : error.message;
+    }
+    return result;
+  },
+
+  /**
+   * Diagnoses every paired companion.
+   * @returns {Promise<object[]>} One diagnoseCompanion result per companion, with its name.
+   */
+  runDiagnostics: async function() {
+    const paired = (await this.loadPairedExtensions()).filter(entry => entry.id !== chrome.runtime.id);
+    return Promise.all(paired.map(async entry => ({
+      name: entry.name,
+      ...await this.diagnoseCompanion(entry.id),
+    })));
+  },
+
+  /**
+   * Sends all of this extension's synced settings to every companion. They are
+   * stamped as new changes, so they win over whatever the companions have.
+   * The time zone is left out while this extension keeps its own.
+   */
+  pushSettings: async function() {
+    const settings = await this.getSyncableSettings();
+    const { shareTimeZone } = await chrome.storage.sync.get({ shareTimeZone: SettingsSchema.fields.shareTimeZone.default });
+    if (!shareTimeZone) {
+      delete settings.timeZone;
+    }
+    return this.syncSettings(settings);
+  },
+
+  /**
+   * Adopts a companion's synced settings here and passes them on to the rest
+   * of the group.
+   * @param {string} targetExtensionId
+   */
+  pullSettings: async function(targetExtensionId) {
+    const version = await this.negotiateVersion(targetExtensionId);
+    const response = await this.sendExternalMessage(targetExtensionId, this.buildMessage("getSettings", {}, version));
+    if (!response || !response.ok) {
+      throw new Error(response && response.error ? response.error.message : "Settings request was refused");
+    }
+    const theirs = this.validateSyncPayload(response.settings, this.SYNCABLE_KEYS).settings;
+    const { shareTimeZone } = await chrome.storage.sync.get({ shareTimeZone: SettingsSchema.fields.shareTimeZone.default });
+    if (!shareTimeZone) {
+      delete theirs.timeZone;
+    }
+    await chrome.storage.sync.set(theirs);
+    return this.syncSettings(theirs);
+  }
+};
+
+// --- Initialization ---
+// This checks if the script is running in the service worker (background)
+// The `self.importScripts` check is a reliable way to know.
+if (typeof self.importScripts === 'function') {
+    SharedSettings.initBackgroundListener();
+}
@@ -0,0 +1,120 @@
+// =================================================================
+// TIME UTILITY MODULE
+// =================================================================
+// Pure helpers for reading the wall-clock time of an IANA time zone.
+// Used by the clock engine (service worker) and the options page.
+
+// Intl.DateTimeFormat construction is slow, so formatters are reused per zone.
+const zonedFormatterCache = new Map();
+
+function getZonedFormatter(timeZone) {
+    const key = timeZone || "";
+    if (!zonedFormatterCache.has(key)) {
+        zonedFormatterCache.set(key, new Intl.DateTimeFormat("en-US", {
+            timeZone: timeZone || undefined,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "numeric",
+            day: "numeric",
+            hour: "numeric",
+            minute: "numeric",
+            second: "numeric",
+        }));
+    }
+    return zonedFormatterCache.get(key);
+}
+
+/**
+ * Validates an IANA time zone name. An empty value means the browser's local zone.
+ * @param {string} timeZone - The zone to validate (e.g. "America/New_York").
+ * @returns {boolean} True if the zone is empty or known to Intl.
+ */
+function isValidTimeZone(timeZone) {
+    if (!timeZone) {
+        return true;
+    }
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Returns the wall-clock fields of a date as seen in the given time zone.
+ * @param {Date} date - The instant to convert.
+ * @param {string} [timeZone] - IANA zone name; empty for the browser's local zone.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getZonedTimeParts(date, timeZone) {
+    const parts = {};
+    for (const part of getZonedFormatter(timeZone).formatToParts(date)) {
+        if (part.type !== "literal") {
+            parts[part.type] = parseInt(part.value, 10);
+        }
+    }
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second,
+    };
+}
+
+/**
+ * Returns the ISO 8601 week number of a calendar date: weeks start on Monday,
+ * and week 1 is the one containing the year's first Thursday.
+ * @param {number} year
+ * @param {number} month - 1 to 12.
+ * @param {number} day
+ * @returns {number} 1 to 53.
+ */
+function getIsoWeek(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Move to the Thursday of the same week; its year is the week's year.
+    const weekday = date.getUTCDay() || 7;
+    date.setUTCDate(date.getUTCDate() + 4 - weekday);
+    const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+    return Math.ceil(((date.getTime() - yearStart) / 86400000 + 1) / 7);
+}
+
+/**
+ * Lists the IANA zones the browser knows about, for populating pickers.
+ * @returns {string[]} Sorted zone names.
+ */
+function getSupportedTimeZones() {
+    if (typeof Intl.supportedValuesOf === "function") {
+        return Intl.supportedValuesOf("timeZone");
+    }
+    return ["UTC"];
+}
+
+/**
+ * Finds the next instant after `date` at which `getValue` returns something different,
+ * e.g. the next time the displayed hour changes in a given zone.
+ *
+ * Rather than building "hour + 1" on a calendar (which breaks when DST skips or
+ * repeats an hour), candidates are stepped through in real time. They are aligned
+ * to multiples of `stepMs` since the epoch; every UTC offset and DST transition in
+ * use today falls on a quarter hour, so a 15-minute step never misses a change.
+ * @param {Date} date - The starting instant.
+ * @param {function(Date): *} getValue - Returns the displayed value at an instant.
+ * @param {number} stepMs - Candidate spacing; must divide the unit's length.
+ * @param {number} [maxSearchMs=48h] - Give up after this long and return the first candidate.
+ * @returns {Date} The first candidate at which the value differs.
+ */
+function findNextChange(date, getValue, stepMs, maxSearchMs = 48 * 60 * 60 * 1000) {
+    const current = getValue(date);
+    const first = Math.floor(date.getTime() / stepMs) * stepMs + stepMs;
+    const limit = date.getTime() + maxSearchMs;
+    for (let time = first; time <= limit; time += stepMs) {
+        const candidate = new Date(time);
+        if (getValue(candidate) !== current) {
+            return candidate;
+        }
+    }
+    return new Date(first);
+}
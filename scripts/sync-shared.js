@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Copies the modules in shared/ into every clock extension. Chrome only loads
+// files from inside an extension's own directory, so each one needs a copy.
+// Edit the files in shared/, never the copies; CI runs the check below.
+//
+//     node scripts/sync-shared.js           copy shared/ into each extension
+//     node scripts/sync-shared.js --check   fail if any copy differs from shared/
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const SHARED_DIR = path.join(ROOT, "shared");
+
+/**
+ * Every directory at the top level holding an extension manifest.
+ * @returns {string[]} Absolute paths.
+ */
+function findExtensionDirs() {
+    return fs.readdirSync(ROOT, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => path.join(ROOT, entry.name))
+        .filter(dir => fs.existsSync(path.join(dir, "manifest.json")));
+}
+
+function main() {
+    const check = process.argv.includes("--check");
+    const files = fs.readdirSync(SHARED_DIR).sort();
+    const extensionDirs = findExtensionDirs();
+    const stale = [];
+
+    extensionDirs.forEach(dir => {
+        files.forEach(file => {
+            const source = fs.readFileSync(path.join(SHARED_DIR, file));
+            const target = path.join(dir, file);
+            const current = fs.existsSync(target) ? fs.readFileSync(target) : null;
+            if (current && current.equals(source)) {
+                return;
+            }
+            stale.push(path.relative(ROOT, target));
+            if (!check) {
+                fs.writeFileSync(target, source);
+            }
+        });
+    });
+
+    if (check) {
+        if (stale.length > 0) {
+            console.error("These copies differ from shared/ (run `npm run sync-shared`):");
+            stale.forEach(file => console.error(`  ${file}`));
+            process.exitCode = 1;
+        } else {
+            console.log(`${files.length} shared files match in ${extensionDirs.length} extensions.`);
+        }
+        return;
+    }
+    stale.forEach(file => console.log(`Updated ${file}`));
+}
+
+main();
@@ -0,0 +1,504 @@
+// =================================================================
+// ICON RENDERER
+// =================================================================
+// Draws the clock text, and optionally a background shape, onto a canvas.
+// Used by the offscreen document to render icons (loaded after icon-store.js,
+// whose encoding it sends them in) and by the options page for its live
+// preview. Nothing here talks to the extension APIs.
+
+// Every draw produces the icon at each of these sizes, so Chrome can pick the one
+// matching the display's pixel density instead of resampling a single bitmap.
+const ICON_SIZES = [16, 24, 32, 48, 64];
+// Sizes up to this are snapped to whole pixels when drawing text, which keeps
+// digit stems crisp at 1x.
+const HINTING_MAX_SIZE = 32;
+
+// Shape outlines are this many pixels wide on a 32px icon, scaled for other sizes.
+const SHAPE_STROKE_WIDTH = 2;
+const RING_STROKE_WIDTH = 3;
+
+// Canvas pool to reuse canvas instances, one pool per icon size
+class CanvasPool {
+    constructor(maxSize = 3) {
+        this.pools = new Map();
+        this.maxSize = maxSize;
+    }
+
+    getCanvas(size = 32) {
+        const pool = this.pools.get(size);
+        if (pool && pool.length > 0) {
+            return pool.pop();
+        }
+        const canvas = new OffscreenCanvas(size, size);
+        const context = canvas.getContext("2d", { willReadFrequently: true, alpha: true });
+        return { canvas, context };
+    }
+
+    returnCanvas(canvasData) {
+        if (!canvasData) {
+            return;
+        }
+        const size = canvasData.canvas.width;
+        if (!this.pools.has(size)) {
+            this.pools.set(size, []);
+        }
+        const pool = this.pools.get(size);
+        if (pool.length < this.maxSize) {
+            canvasData.context.clearRect(0, 0, canvasData.canvas.width, canvasData.canvas.height);
+            pool.push(canvasData);
+        }
+    }
+}
+const canvasPool = new CanvasPool();
+
+// Used when a style doesn't name a font, e.g. one cached before fonts were configurable.
+const DEFAULT_ICON_FONT = { fontFamily: "Arial", fontWeight: "bold", fontStyle: "normal", fontStretch: "normal" };
+
+/**
+ * Builds the CSS font for a style at the given size. The stretch is not part of
+ * the shorthand; the canvas takes it separately (see applyFont).
+ * @param {{fontFamily?: string, fontWeight?: string, fontStyle?: string}} style
+ * @returns {string} e.g. "normal bold 20px Arial"
+ */
+function getFontString(style, fontSize) {
+    const {
+        fontFamily = DEFAULT_ICON_FONT.fontFamily,
+        fontWeight = DEFAULT_ICON_FONT.fontWeight,
+        fontStyle = DEFAULT_ICON_FONT.fontStyle,
+    } = style;
+    return `${fontStyle} ${fontWeight} ${fontSize}px ${fontFamily}`;
+}
+
+function applyFont(style, fontSize, context) {
+    context.font = getFontString(style, fontSize);
+    context.fontStretch = style.fontStretch || DEFAULT_ICON_FONT.fontStretch;
+}
+
+// Font measurement cache, keyed by the full font so different fonts at the same
+// size don't share measurements.
+const fontMetricsCache = new Map();
+
+function getCachedFontMetrics(text, fontSize, context, style = DEFAULT_ICON_FONT) {
+    const stretch = style.fontStretch || DEFAULT_ICON_FONT.fontStretch;
+    const cacheKey = `${getFontString(style, fontSize)}-${stretch}-${text}`;
+    if (fontMetricsCache.has(cacheKey)) {
+        return fontMetricsCache.get(cacheKey);
+    }
+    applyFont(style, fontSize, context);
+    const metrics = context.measureText(text);
+    fontMetricsCache.set(cacheKey, metrics);
+    return metrics;
+}
+
+// Optimized font size calculation.
+// Fits the text into `box` (the whole canvas by default, or e.g. one line of a stacked layout).
+// Narrow fonts measure smaller, so they reach a larger size before the width limit.
+// The text may overhang the box by 2px on a 32px icon (glyphs have side bearings),
+// scaled for other sizes.
+function calculateOptimalFontSize(text, canvas, context, box = { width: canvas.width, height: canvas.height }, style = DEFAULT_ICON_FONT) {
+    const slack = 2 * canvas.width / 32;
+    const maxWidth = box.width + slack;
+    const maxHeight = box.height + slack;
+    let minSize = 1;
+    let maxSize = Math.floor(box.height * 1.2);
+    let bestSize = minSize;
+
+    while (minSize <= maxSize) {
+        const currentSize = Math.floor((minSize + maxSize) / 2);
+        const metrics = getCachedFontMetrics(text, currentSize, context, style);
+        if (metrics.width <= maxWidth && currentSize <= maxHeight) {
+            bestSize = currentSize;
+            minSize = currentSize + 1;
+        } else {
+            maxSize = currentSize - 1;
+        }
+    }
+    return bestSize;
+}
+
+/**
+ * Draws one line of text, as large as fits in the given box.
+ * @param {string} text - The text to draw.
+ * @param {{x: number, y: number, width: number, height: number}} box - Where to draw it.
+ * @param {string} align - "left", "center" or "right" within the box.
+ * @param {object} style - The icon style; only its font options are used.
+ */
+function drawTextLine(text, box, align, canvas, context, style) {
+    if (style.glyphs && canDrawGlyphs(text, style.glyphs)) {
+        drawGlyphLine(text, box, align, context, style);
+        return;
+    }
+    const bestFontSize = calculateOptimalFontSize(text, canvas, context, box, style);
+    applyFont(style, bestFontSize, context);
+    context.textAlign = align;
+    context.textBaseline = "middle";
+    let x = align === "left" ? box.x : align === "center" ? box.x + box.width / 2 : box.x + box.width;
+    let y = box.y + box.height / 2;
+    if (canvas.width <= HINTING_MAX_SIZE) {
+        x = Math.round(x);
+        y = Math.round(y);
+    }
+    context.fillText(text, x, y);
+}
+
+// Built-in digits, drawn as filled rectangles on whole pixels instead of with
+// fillText. They look the same on every OS and stay crisp at 16px, where
+// anti-aliased bold digits like 0 and 8 fill in.
+
+// 3x5 bitmaps, one string per row; "#" is a lit pixel.
+const PIXEL_GLYPHS = {
+    "0": ["###", "#.#", "#.#", "#.#", "###"],
+    "1": [".#.", "##.", ".#.", ".#.", "###"],
+    "2": ["###", "..#", "###", "#..", "###"],
+    "3": ["###", "..#", "###", "..#", "###"],
+    "4": ["#.#", "#.#", "###", "..#", "..#"],
+    "5": ["###", "#..", "###", "..#", "###"],
+    "6": ["###", "#..", "###", "#.#", "###"],
+    "7": ["###", "..#", "..#", "..#", "..#"],
+    "8": ["###", "#.#", "###", "#.#", "###"],
+    "9": ["###", "#.#", "###", "..#", "###"],
+    ":": [".", "#", ".", "#", "."],
+};
+
+// Lit segments of each digit: a top, b upper right, c lower right, d bottom,
+// e lower left, f upper left, g middle.
+const SEGMENT_GLYPHS = {
+    "0": "abcdef",
+    "1": "bc",
+    "2": "abdeg",
+    "3": "abcdg",
+    "4": "bcfg",
+    "5": "acdfg",
+    "6": "acdefg",
+    "7": "abc",
+    "8": "abcdefg",
+    "9": "abcdfg",
+};
+
+// Segment thickness as a fraction of the digit height, by font weight.
+const SEGMENT_THICKNESS = { "400": 1 / 9, "700": 1 / 7, "900": 1 / 5 };
+
+function canDrawGlyphs(text, glyphs) {
+    const known = glyphs === "pixel" ? PIXEL_GLYPHS : SEGMENT_GLYPHS;
+    return [...text].every(char => char in known || char === ":");
+}
+
+/**
+ * Works out the largest 7-segment layout whose digits fit in the box.
+ * @returns {{height: number, width: number, thickness: number, advances: number[]}}
+ *     Digit height and width, segment thickness, and the width of each character.
+ */
+function layoutSegments(text, box, style) {
+    const widthRatio = style.fontStretch === "condensed" ? 0.45 : 0.55;
+    const thicknessRatio = SEGMENT_THICKNESS[style.fontWeight] || SEGMENT_THICKNESS["700"];
+    let layout = null;
+    for (let height = Math.max(5, Math.floor(box.height)); height >= 5; height--) {
+        const thickness = Math.max(1, Math.round(height * thicknessRatio));
+        const width = Math.max(thickness * 3, Math.round(height * widthRatio));
+        const advances = [...text].map(char => char === ":" ? thickness : width);
+        layout = { height, width, thickness, advances };
+        const total = advances.reduce((sum, advance) => sum + advance, 0) + thickness * (advances.length - 1);
+        if (total <= box.width) {
+            break;
+        }
+    }
+    return layout;
+}
+
+function drawSegmentGlyph(char, x, y, layout, context) {
+    const { height, width, thickness } = layout;
+    const middle = Math.round((height - thickness) / 2);
+    if (char === ":") {
+        const dot = (fraction) => Math.round(height * fraction - thickness / 2);
+        context.fillRect(x, y + dot(0.3), thickness, thickness);
+        context.fillRect(x, y + dot(0.7), thickness, thickness);
+        return;
+    }
+    const segments = {
+        a: [0, 0, width, thickness],
+        b: [width - thickness, 0, thickness, middle + thickness],
+        c: [width - thickness, middle, thickness, height - middle],
+        d: [0, height - thickness, width, thickness],
+        e: [0, middle, thickness, height - middle],
+        f: [0, 0, thickness, middle + thickness],
+        g: [0, middle, width, thickness],
+    };
+    [...SEGMENT_GLYPHS[char]].forEach(segment => {
+        const [dx, dy, w, h] = segments[segment];
+        context.fillRect(x + dx, y + dy, w, h);
+    });
+}
+
+/**
+ * Draws one line of built-in digits, as large as fits in the given box.
+ * Pixel glyphs are scaled by whole multiples where they fit, so every source
+ * pixel covers the same number of icon pixels.
+ * @param {{glyphs: "pixel"|"segment", fontWeight?: string, fontStretch?: string}} style
+ */
+function drawGlyphLine(text, box, align, context, style) {
+    const chars = [...text];
+    let advances;
+    let gap;
+    let lineHeight;
+    let drawChar;
+
+    if (style.glyphs === "pixel") {
+        const columns = chars.reduce((sum, char) => sum + PIXEL_GLYPHS[char][0].length, 0) + chars.length - 1;
+        const fit = Math.min(box.width / columns, box.height / 5);
+        const scale = fit >= 1 ? Math.floor(fit) : fit;
+        advances = chars.map(char => PIXEL_GLYPHS[char][0].length * scale);
+        lineHeight = 5 * scale;
+        drawChar = (char, x, y) => {
+            PIXEL_GLYPHS[char].forEach((row, rowIndex) => {
+                [...row].forEach((pixel, column) => {
+                    if (pixel === "#") {
+                        context.fillRect(x + column * scale, y + rowIndex * scale, scale, scale);
+                    }
+                });
+            });
+        };
+        gap = scale;
+    } else {
+        const layout = layoutSegments(text, box, style);
+        advances = layout.advances;
+        lineHeight = layout.height;
+        drawChar = (char, x, y) => drawSegmentGlyph(char, x, y, layout, context);
+        gap = layout.thickness;
+    }
+
+    const lineWidth = advances.reduce((sum, advance) => sum + advance, 0) + gap * (advances.length - 1);
+    const left = align === "left" ? box.x : align === "center" ? box.x + (box.width - lineWidth) / 2 : box.x + box.width - lineWidth;
+    let x = Math.round(left);
+    const y = Math.round(box.y + (box.height - lineHeight) / 2);
+    chars.forEach((char, index) => {
+        drawChar(char, x, y);
+        x += advances[index] + gap;
+    });
+}
+
+/**
+ * Draws the background shape and returns the box the text must fit in.
+ * Text inside a round shape is fitted to the largest rectangle that stays
+ * clear of the curve, then shrunk by the padding on every side.
+ * @param {{shape?: string, shapeFill?: string, shapeStroke?: string, shapePadding?: number}} style
+ * @returns {{x: number, y: number, width: number, height: number}} The inner box.
+ */
+function drawShape(style, canvas, context) {
+    const { width, height } = canvas;
+    const scale = width / 32;
+    const padding = (style.shapePadding || 0) * scale;
+    const lineWidth = (style.shape === "ring" ? RING_STROKE_WIDTH : SHAPE_STROKE_WIDTH) * scale;
+    const half = lineWidth / 2;
+    let inner;
+
+    context.save();
+    context.beginPath();
+    switch (style.shape) {
+        case "circle":
+        case "ring": {
+            const radius = Math.min(width, height) / 2 - half;
+            context.arc(width / 2, height / 2, radius, 0, Math.PI * 2);
+            // The square inscribed in the circle, inside the outline.
+            const side = (radius - half) * Math.SQRT2;
+            inner = { x: (width - side) / 2, y: (height - side) / 2, width: side, height: side };
+            break;
+        }
+        case "rounded-square": {
+            const cornerRadius = width / 4;
+            context.roundRect(half, half, width - lineWidth, height - lineWidth, cornerRadius);
+            const inset = lineWidth + cornerRadius * (1 - Math.SQRT1_2);
+            inner = { x: inset, y: inset, width: width - inset * 2, height: height - inset * 2 };
+            break;
+        }
+        case "pill": {
+            const pillHeight = Math.round(height * 0.625);
+            const top = (height - pillHeight) / 2;
+            context.roundRect(half, top + half, width - lineWidth, pillHeight - lineWidth, pillHeight / 2);
+            const insetX = lineWidth + (pillHeight / 2) * (1 - Math.SQRT1_2);
+            inner = { x: insetX, y: top + lineWidth, width: width - insetX * 2, height: pillHeight - lineWidth * 2 };
+            break;
+        }
+        default:
+            context.restore();
+            return { x: 0, y: 0, width, height };
+    }
+
+    if (style.shape !== "ring") {
+        context.fillStyle = style.shapeFill;
+        context.fill();
+    }
+    if (style.shapeStroke || style.shape === "ring") {
+        context.lineWidth = lineWidth;
+        context.strokeStyle = style.shapeStroke || style.color;
+        context.stroke();
+    }
+    context.restore();
+
+    return {
+        x: inner.x + padding,
+        y: inner.y + padding,
+        width: Math.max(1, inner.width - padding * 2),
+        height: Math.max(1, inner.height - padding * 2),
+    };
+}
+
+/**
+ * Draws the progress arc around the icon's edge, clockwise from the start angle.
+ * @param {{progress: number, progressSteps: number, ringColor: string, ringWidth: number,
+ *     ringStart: number}} style - `progress` of `progressSteps` is filled; `ringWidth` is
+ *     in pixels on a 32px icon and `ringStart` in degrees clockwise from 12 o'clock.
+ */
+function drawProgressRing(style, canvas, context) {
+    const fraction = Math.min(1, style.progress / style.progressSteps);
+    if (fraction <= 0) {
+        return;
+    }
+    const size = Math.min(canvas.width, canvas.height);
+    const lineWidth = style.ringWidth * size / 32;
+    const start = (style.ringStart - 90) * Math.PI / 180;
+
+    context.save();
+    context.beginPath();
+    context.arc(size / 2, size / 2, (size - lineWidth) / 2, start, start + fraction * Math.PI * 2);
+    context.lineWidth = lineWidth;
+    context.lineCap = "butt";
+    context.strokeStyle = style.ringColor;
+    context.stroke();
+    context.restore();
+}
+
+/**
+ * Draws a clock face with hour and minute hands.
+ * @param {string} text - "H:MM", the time the hands point at.
+ * @param {{color: string, ticks?: boolean, hourHand: string, minuteHand: string,
+ *     faceFill?: string, faceStroke?: string}} style
+ */
+function drawClockFace(text, style, canvas, context) {
+    const [hour, minute] = text.split(":").map(Number);
+    const size = Math.min(canvas.width, canvas.height);
+    const scale = size / 32;
+    const center = size / 2;
+    const strokeWidth = SHAPE_STROKE_WIDTH * scale;
+    const radius = center - (style.faceStroke ? strokeWidth / 2 : 0);
+
+    context.save();
+    if (style.faceFill || style.faceStroke) {
+        context.beginPath();
+        context.arc(center, center, radius, 0, Math.PI * 2);
+        if (style.faceFill) {
+            context.fillStyle = style.faceFill;
+            context.fill();
+        }
+        if (style.faceStroke) {
+            context.lineWidth = strokeWidth;
+            context.strokeStyle = style.faceStroke;
+            context.stroke();
+        }
+    }
+
+    // Angles are clockwise from 12 o'clock.
+    const line = (angle, from, to, width, color) => {
+        const dx = Math.sin(angle);
+        const dy = -Math.cos(angle);
+        context.beginPath();
+        context.moveTo(center + dx * from, center + dy * from);
+        context.lineTo(center + dx * to, center + dy * to);
+        context.lineWidth = width;
+        context.strokeStyle = color;
+        context.stroke();
+    };
+    const inner = radius - (style.faceStroke ? strokeWidth / 2 : 0);
+
+    if (style.ticks) {
+        context.lineCap = "butt";
+        for (let mark = 0; mark < 12; mark++) {
+            // The quarter hours are longer, so the face reads at 16px too.
+            const length = mark % 3 === 0 ? inner * 0.3 : inner * 0.15;
+            line(mark * Math.PI / 6, inner - length, inner, Math.max(1, scale), style.color);
+        }
+    }
+
+    context.lineCap = "round";
+    line(((hour % 12) + minute / 60) * Math.PI / 6, 0, inner * 0.5, 3 * scale, style.hourHand);
+    line(minute * Math.PI / 30, 0, inner * 0.8, 2 * scale, style.minuteHand);
+    context.restore();
+}
+
+/**
+ * Draws an icon onto the given canvas: the background shape, if any, then the
+ * text, then the progress ring when the style has one.
+ * @param {string} text - The text to draw. For the "stacked" layout, "H:MM" is split
+ *     into an hour line above a minute line; the "analog" layout draws it as a clock face.
+ * @param {{color: string, align: string, layout: string, fontFamily?: string, glyphs?: string, shape?: string}} style - How to draw it.
+ */
+function paintIcon(text, style, canvas, context) {
+    const { color, align = "right", layout = "single" } = style;
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    const hasRing = style.progress !== undefined;
+    if (layout === "analog") {
+        drawClockFace(text, style, canvas, context);
+    } else {
+        let box = drawShape(style, canvas, context);
+        if (hasRing) {
+            // Keep the text clear of the ring.
+            const inset = style.ringWidth * canvas.width / 32;
+            box = {
+                x: Math.max(box.x, inset),
+                y: Math.max(box.y, inset),
+                width: Math.max(1, Math.min(box.x + box.width, canvas.width - inset) - Math.max(box.x, inset)),
+                height: Math.max(1, Math.min(box.y + box.height, canvas.height - inset) - Math.max(box.y, inset)),
+            };
+        }
+        context.fillStyle = color;
+
+        if (layout === "stacked") {
+            const [top, bottom = ""] = text.split(":");
+            const half = box.height / 2;
+            drawTextLine(top, { x: box.x, y: box.y, width: box.width, height: half }, "center", canvas, context, style);
+            drawTextLine(bottom, { x: box.x, y: box.y + half, width: box.width, height: half }, "center", canvas, context, style);
+        } else {
+            drawTextLine(text, box, align, canvas, context, style);
+        }
+    }
+    if (hasRing) {
+        drawProgressRing(style, canvas, context);
+    }
+}
+
+/**
+ * Renders one icon and returns it in a form that can be sent over the message
+ * channel: pixels as base64 (see IconStore.encodeImageData), since a JSON array
+ * of numbers would make every set of sizes a message of megabytes.
+ * @param {string} text - The text to draw.
+ * @param {object} style - How to draw it (see paintIcon).
+ * @param {number} [size=32] - Width and height in pixels.
+ * @returns {{width: number, height: number, data: string}}
+ */
+function renderIcon(text, style, size = 32) {
+    const canvasData = canvasPool.getCanvas(size);
+    const { canvas, context } = canvasData;
+
+    try {
+        paintIcon(text, style, canvas, context);
+        return IconStore.encodeImageData(context.getImageData(0, 0, canvas.width, canvas.height));
+    } finally {
+        // Always return the canvas to the pool
+        canvasPool.returnCanvas(canvasData);
+    }
+}
+
+/**
+ * Renders an icon at every size in ICON_SIZES. Each size is fitted on its own,
+ * so small icons aren't just scaled-down copies of the large ones.
+ * @param {string} text - The text to draw.
+ * @param {object} style - How to draw it (see paintIcon).
+ * @returns {Object<number, {width: number, height: number, data: string}>} Icons by size,
+ *     encoded; IconStore.decodeImageSet turns them into what chrome.action.setIcon takes.
+ */
+function renderIconSet(text, style) {
+    const icons = {};
+    ICON_SIZES.forEach(size => {
+        icons[size] = renderIcon(text, style, size);
+    });
+    return icons;
+}
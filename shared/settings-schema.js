@@ -0,0 +1,676 @@
+// =================================================================
+// SETTINGS SCHEMA MODULE
+// =================================================================
+// The single source of truth for every key stored in chrome.storage.sync:
+// its type, default and validation, plus the migrations that bring settings
+// written by older versions up to date. Loaded by the background service
+// worker (importScripts) and by the options and popup pages, after time-utils.js.
+//
+// Adding an option: add a field below. Changing the shape of an existing one:
+// bump SETTINGS_SCHEMA_VERSION and add a migration from the previous version.
+
+/**
+ * @typedef {object} WorldClock
+ * @property {string} label - Shown before the time in the tooltip.
+ * @property {string} timeZone - IANA zone name, or "" for local time.
+ */
+
+/**
+ * @typedef {object} ThemeProfile
+ * @property {string} id - Stable identifier; names can change.
+ * @property {string} name
+ * @property {object} settings - Values of every setting marked `inProfile`.
+ */
+
+/**
+ * @typedef {object} ClockSettings
+ * @property {number} schemaVersion - Version of the stored shape.
+ * @property {boolean} useCustomColor - Draw in customColor instead of the default.
+ * @property {string} customColor - "#rrggbb".
+ * @property {string[]} recentColors - Up to 5 recently used "#rrggbb" colors.
+ * @property {boolean} autoThemeColor - Follow the light/dark theme instead of the colors above.
+ * @property {string} lightThemeColor - "#rrggbb" drawn while the browser uses a light theme.
+ * @property {string} darkThemeColor - "#rrggbb" drawn while the browser uses a dark theme.
+ * @property {"none"|"circle"|"rounded-square"|"pill"|"ring"} iconShape - Background behind the text.
+ * @property {string} shapeFillColor - "#rrggbb" inside the shape (not used by "ring").
+ * @property {string} shapeStrokeColor - "#rrggbb" outline of the shape.
+ * @property {number} shapePadding - Pixels between the shape's inner box and the text.
+ * @property {string} fontFamily - Key of ICON_FONTS used to draw the text, including
+ *     the built-in "pixel" and "segment" digits.
+ * @property {"400"|"700"|"900"} fontWeight
+ * @property {"normal"|"italic"} fontStyle
+ * @property {"normal"|"condensed"} fontStretch - Only has an effect on families
+ *     that ship a condensed face.
+ * @property {boolean} use24HourFormat
+ * @property {boolean} showLeadingZero
+ * @property {"single"|"combined"|"analog"} displayMode - Hours icon only: hour, HH:MM,
+ *     or a clock face.
+ * @property {"stacked"|"side-by-side"} combinedLayout - Layout of the HH:MM icon.
+ * @property {boolean} analogTicks - Clock face: draw the twelve hour marks.
+ * @property {boolean} analogFace - Clock face: fill and outline the dial with the shape colors.
+ * @property {boolean} analogHandsFollowColor - Clock face: draw the hands in the clock
+ *     color instead of the two colors below.
+ * @property {string} analogHourHandColor - "#rrggbb".
+ * @property {string} analogMinuteHandColor - "#rrggbb".
+ * @property {1|5} analogGranularity - Clock face: minutes between hand movements.
+ * @property {"none"|"minute"|"hour"|"day"|"workday"} progressRing - What the arc around
+ *     the icon's edge fills up through; each unit offers only some of these.
+ * @property {string} progressRingColor - "#rrggbb".
+ * @property {number} progressRingWidth - Arc thickness in pixels on a 32px icon.
+ * @property {0|90|180|270} progressRingStart - Where the arc starts, in degrees
+ *     clockwise from 12 o'clock.
+ * @property {number} workdayStart - Minutes after midnight the workday begins.
+ * @property {number} workdayEnd - Minutes after midnight it ends; may be before the start.
+ * @property {"none"|"ampm"|"day"|"week"|"countdown"} badgeContent - What the badge over
+ *     the icon shows; AM/PM is offered by the hours icon only.
+ * @property {number} badgeTarget - Minutes after midnight the countdown badge counts down to.
+ * @property {string} badgeTextColor - "#rrggbb".
+ * @property {string} badgeBackgroundColor - "#rrggbb".
+ * @property {string} timeZone - IANA zone shown by the icon, or "" for local time.
+ * @property {boolean} shareTimeZone - Whether the companion follows this zone.
+ * @property {WorldClock[]} worldClocks - Extra zones listed in the tooltip.
+ * @property {object} localOverrides - Values of overridable settings that apply to this
+ *     extension only. They take precedence over the shared value of the same key.
+ * @property {ThemeProfile[]} profiles - Saved looks, in display order.
+ * @property {string} activeProfileId - The profile last applied, or "".
+ */
+
+const SETTINGS_SCHEMA_VERSION = 1;
+const MAX_RECENT_COLORS = 5;
+const MAX_WORLD_CLOCKS = 10;
+const MAX_PROFILES = 20;
+const MAX_PROFILE_NAME_LENGTH = 40;
+// chrome.storage.sync.QUOTA_BYTES_PER_ITEM. All profiles share one item, so
+// how many fit depends on their names and settings.
+const MAX_SYNC_ITEM_BYTES = 8192;
+const ICON_SHAPES = ["none", "circle", "rounded-square", "pill", "ring"];
+const MAX_SHAPE_PADDING = 8;
+const ANALOG_GRANULARITIES = [1, 5];
+const PROGRESS_RING_SPANS = ["none", "minute", "hour", "day", "workday"];
+const PROGRESS_RING_STARTS = [0, 90, 180, 270];
+const MAX_PROGRESS_RING_WIDTH = 4;
+const MINUTES_PER_DAY = 24 * 60;
+const BADGE_CONTENTS = ["none", "ampm", "day", "week", "countdown"];
+// Families that are installed with every desktop OS Chrome runs on, or that fall
+// back to a similar generic family. `family` is the CSS font-family list drawn with;
+// fonts with `glyphs` instead are digits drawn by icon-renderer.js itself.
+const ICON_FONTS = {
+    "arial": { label: "Arial", family: "Arial, sans-serif" },
+    "arial-narrow": { label: "Arial Narrow (condensed)", family: "'Arial Narrow', 'Liberation Sans Narrow', 'Roboto Condensed', sans-serif" },
+    "verdana": { label: "Verdana", family: "Verdana, sans-serif" },
+    "tahoma": { label: "Tahoma", family: "Tahoma, sans-serif" },
+    "trebuchet": { label: "Trebuchet MS", family: "'Trebuchet MS', sans-serif" },
+    "system-ui": { label: "System UI", family: "system-ui, sans-serif" },
+    "georgia": { label: "Georgia", family: "Georgia, serif" },
+    "times": { label: "Times New Roman", family: "'Times New Roman', serif" },
+    "courier": { label: "Courier New (monospace digits)", family: "'Courier New', monospace" },
+    "monospace": { label: "System monospace (monospace digits)", family: "ui-monospace, Consolas, 'DejaVu Sans Mono', monospace" },
+    "segment": { label: "7-segment (built-in)", glyphs: "segment" },
+    "pixel": { label: "Pixel (built-in)", glyphs: "pixel" },
+};
+const ICON_FONT_WEIGHTS = ["400", "700", "900"];
+const ICON_FONT_STYLES = ["normal", "italic"];
+const ICON_FONT_STRETCHES = ["normal", "condensed"];
+// Identifies a settings file written by createExport.
+const SETTINGS_EXPORT_FORMAT = "chrome-clock-settings";
+
+const SettingsSchema = {
+    /**
+     * Field definitions. `visual: true` marks settings that change the drawn icon;
+     * `overridable: true` those that can be kept local to one extension, and
+     * `inProfile: true` those saved in theme profiles.
+     * `normalize` returns the cleaned value, or undefined if the value is invalid.
+     */
+    fields: {
+        useCustomColor: {
+            overridable: true,
+            inProfile: true,
+            default: false,
+            visual: true,
+            normalize: value => typeof value === "boolean" ? value : undefined,
+        },
+        customColor: {
+            overridable: true,
+            inProfile: true,
+            default: "#ffffff",
+            visual: true,
+            normalize: value => normalizeHexColor(value),
+        },
+        recentColors: {
+            default: [],
+            normalize: value => {
+                if (!Array.isArray(value)) {
+                    return undefined;
+                }
+                const colors = value.map(normalizeHexColor).filter(Boolean);
+                return [...new Set(colors)].slice(0, MAX_RECENT_COLORS);
+            },
+        },
+        autoThemeColor: {
+            overridable: true,
+            inProfile: true,
+            default: false,
+            visual: true,
+            normalize: value => typeof value === "boolean" ? value : undefined,
+        },
+        lightThemeColor: {
+            overridable: true,
+            inProfile: true,
+            default: "#000000",
+            visual: true,
+            normalize: value => normalizeHexColor(value),
+        },
+        darkThemeColor: {
+            overridable: true,
+            inProfile: true,
+            default: "#ffffff",
+            visual: true,
+            normalize: value => normalizeHexColor(value),
+        },
+        iconShape: {
+            overridable: true,
+            inProfile: true,
+            default: "none",
+            visual: true,
+            normalize: value => ICON_SHAPES.includes(value) ? value : undefined,
+        },
+        shapeFillColor: {
+            overridable: true,
+            inProfile: true,
+            default: "#ffffff",
+            visual: true,
+            normalize: value => normalizeHexColor(value),
+        },
+        shapeStrokeColor: {
+            overridable: true,
+            inProfile: true,
+            default: "#000000",
+            visual: true,
+            normalize: value => normalizeHexColor(value),
+        },
+        shapePadding: {
+            overridable: true,
+            inProfile: true,
+            default: 1,
+            visual: true,
+            normalize: value => Number.isInteger(value) && value >= 0 && value <= MAX_SHAPE_PADDING ? value : undefined,
+        },
+        fontFamily: {
+            overridable: true,
+            inProfile: true,
+            default: "arial",
+            visual: true,
+            normalize: value => Object.hasOwn(ICON_FONTS, value) ? value : undefined,
+        },
+        fontWeight: {
+            overridable: true,
+            inProfile: true,
+            default: "700",
+            visual: true,
+            normalize: value => ICON_FONT_WEIGHTS.includes(String(value)) ? String(value) : undefined,
+        },
+        fontStyle: {
+            overridable: true,
+            inProfile: true,
+            default: "normal",
+            visual: true,
+            normalize: value => ICON_FONT_STYLES.includes(value) ? value : undefined,
+        },
+        fontStretch: {
+            overridable: true,
+            inProfile: true,
+            default: "normal",
+            visual: true,
+            normalize: value => ICON_FONT_STRETCHES.includes(value) ? value : undefined,
+        },
+        use24HourFormat: {
+            overridable: true,
+            inProfile: true,
+            default: false,
+            visual: true,
+            normalize: value => typeof value === "boolean" ? value : undefined,
+        },
+        showLeadingZero: {
+            overridable: true,
+            inProfile: true,
+            default: false,
+            visual: true,
+            normalize: value => typeof value === "boolean" ? value : undefined,
+        },
+        displayMode: {
+            default: "single",
+            visual: true,
+            normalize: value => ["single", "combined", "analog"].includes(value) ? value : undefined,
+        },
+        combinedLayout: {
+            default: "stacked",
+            visual: true,
+            normalize: value => ["stacked", "side-by-side"].includes(value) ? value : undefined,
+        },
+        analogTicks: {
+            default: true,
+            visual: true,
+            normalize: value => typeof value === "boolean" ? value : undefined,
+        },
+        analogFace: {
+            default: true,
+            visual: true,
+            normalize: value => typeof value === "boolean" ? value : undefined,
+        },
+        analogHandsFollowColor: {
+            default: true,
+            visual: true,
+            normalize: value => typeof value === "boolean" ? value : undefined,
+        },
+        analogHourHandColor: {
+            default: "#000000",
+            visual: true,
+            normalize: value => normalizeHexColor(value),
+        },
+        analogMinuteHandColor: {
+            default: "#000000",
+            visual: true,
+            normalize: value => normalizeHexColor(value),
+        },
+        analogGranularity: {
+            default: 1,
+            visual: true,
+            normalize: value => ANALOG_GRANULARITIES.includes(value) ? value : undefined,
+        },
+        progressRing: {
+            default: "none",
+            visual: true,
+            normalize: value => PROGRESS_RING_SPANS.includes(value) ? value : undefined,
+        },
+        progressRingColor: {
+            overridable: true,
+            inProfile: true,
+            default: "#1a73e8",
+            visual: true,
+            normalize: value => normalizeHexColor(value),
+        },
+        progressRingWidth: {
+            overridable: true,
+            inProfile: true,
+            default: 2,
+            visual: true,
+            normalize: value => Number.isInteger(value) && value >= 1 && value <= MAX_PROGRESS_RING_WIDTH ? value : undefined,
+        },
+        progressRingStart: {
+            overridable: true,
+            inProfile: true,
+            default: 0,
+            visual: true,
+            normalize: value => PROGRESS_RING_STARTS.includes(value) ? value : undefined,
+        },
+        workdayStart: {
+            default: 9 * 60,
+            visual: true,
+            normalize: value => Number.isInteger(value) && value >= 0 && value < MINUTES_PER_DAY ? value : undefined,
+        },
+        workdayEnd: {
+            default: 17 * 60,
+            visual: true,
+            normalize: value => Number.isInteger(value) && value >= 0 && value < MINUTES_PER_DAY ? value : undefined,
+        },
+        badgeContent: {
+            default: "none",
+            normalize: value => BADGE_CONTENTS.includes(value) ? value : undefined,
+        },
+        badgeTarget: {
+            default: 17 * 60,
+            normalize: value => Number.isInteger(value) && value >= 0 && value < MINUTES_PER_DAY ? value : undefined,
+        },
+        badgeTextColor: {
+            overridable: true,
+            inProfile: true,
+            default: "#ffffff",
+            normalize: value => normalizeHexColor(value),
+        },
+        badgeBackgroundColor: {
+            overridable: true,
+            inProfile: true,
+            default: "#5f6368",
+            normalize: value => normalizeHexColor(value),
+        },
+        timeZone: {
+            default: "",
+            normalize: value => typeof value === "string" && isValidTimeZone(value) ? value : undefined,
+        },
+        shareTimeZone: {
+            default: true,
+            normalize: value => typeof value === "boolean" ? value : undefined,
+        },
+        worldClocks: {
+            overridable: true,
+            default: [],
+            normalize: value => {
+                if (!Array.isArray(value)) {
+                    return undefined;
+                }
+                return value
+                    .filter(clock => clock && typeof clock.label === "string" && clock.label.trim())
+                    .map(clock => ({ label: clock.label.trim(), timeZone: clock.timeZone || "" }))
+                    .filter(clock => typeof clock.timeZone === "string" && isValidTimeZone(clock.timeZone))
+                    .slice(0, MAX_WORLD_CLOCKS);
+            },
+        },
+        localOverrides: {
+            default: {},
+            visual: true,
+            normalize: value => SettingsSchema.normalizeSubset(value, field => field.overridable),
+        },
+        profiles: {
+            default: [],
+            normalize: value => {
+                if (!Array.isArray(value)) {
+                    return undefined;
+                }
+                const ids = new Set();
+                return value
+                    .filter(profile => profile && typeof profile.id === "string" && profile.id
+                        && typeof profile.name === "string" && profile.name.trim())
+                    .filter(profile => !ids.has(profile.id) && ids.add(profile.id))
+                    .map(profile => ({
+                        id: profile.id,
+                        name: profile.name.trim().slice(0, MAX_PROFILE_NAME_LENGTH),
+                        settings: SettingsSchema.normalizeSubset(profile.settings, field => field.inProfile) || {},
+                    }))
+                    .slice(0, MAX_PROFILES);
+            },
+            // Lists that don't fit in one sync item are invalid, so a companion's
+            // can't fail to store over and over.
+            maxBytes: MAX_SYNC_ITEM_BYTES,
+        },
+        activeProfileId: {
+            default: "",
+            normalize: value => typeof value === "string" ? value : undefined,
+        },
+    },
+
+    /**
+     * Migrations keyed by the version they upgrade *from*. Each receives a copy of
+     * the stored settings and returns the next version's shape.
+     */
+    migrations: {
+        // Version 0 is everything stored before settings were versioned. Those
+        // builds could save shorthand or upper-case colors and unchecked lists;
+        // normalizing is enough, since the keys themselves didn't change.
+        0: settings => SettingsSchema.sanitize(settings),
+    },
+
+    /**
+     * Returns a fresh object with the default value of every setting.
+     * @returns {ClockSettings}
+     */
+    getDefaults: function() {
+        const defaults = { schemaVersion: SETTINGS_SCHEMA_VERSION };
+        Object.entries(this.fields).forEach(([key, field]) => {
+            defaults[key] = structuredClone(field.default);
+        });
+        return defaults;
+    },
+
+    /**
+     * Returns the keys of settings that change the drawn icon.
+     * @returns {string[]}
+     */
+    getVisualKeys: function() {
+        return Object.keys(this.fields).filter(key => this.fields[key].visual);
+    },
+
+    /**
+     * Returns the keys of settings that can be overridden for this extension only.
+     * @returns {string[]}
+     */
+    getOverridableKeys: function() {
+        return Object.keys(this.fields).filter(key => this.fields[key].overridable);
+    },
+
+    /**
+     * Returns the keys of settings saved in theme profiles.
+     * @returns {string[]}
+     */
+    getProfileKeys: function() {
+        return Object.keys(this.fields).filter(key => this.fields[key].inProfile);
+    },
+
+    /**
+     * Keeps the valid values of the settings whose field passes `predicate`.
+     * Used for objects holding a few settings, like localOverrides or a profile.
+     * @param {*} value
+     * @param {function(object): boolean} predicate - Receives the field definition.
+     * @returns {object|undefined} Undefined if value isn't an object.
+     */
+    normalizeSubset: function(value, predicate) {
+        if (!value || typeof value !== "object" || Array.isArray(value)) {
+            return undefined;
+        }
+        const subset = {};
+        Object.entries(value).forEach(([key, entry]) => {
+            const field = this.fields[key];
+            const normalized = field && predicate(field) ? field.normalize(entry) : undefined;
+            if (normalized !== undefined) {
+                subset[key] = normalized;
+            }
+        });
+        return subset;
+    },
+
+    /**
+     * Applies the local overrides on top of the shared values. Overrides of
+     * settings that can't be overridden are ignored.
+     * @param {ClockSettings} settings - As stored.
+     * @returns {ClockSettings} The values in effect for this extension.
+     */
+    resolve: function(settings) {
+        const resolved = { ...settings };
+        Object.entries(settings.localOverrides || {}).forEach(([key, value]) => {
+            if (this.getScope(settings, key) === "local") {
+                resolved[key] = value;
+            }
+        });
+        return resolved;
+    },
+
+    /**
+     * Tells where the effective value of a setting comes from.
+     * @param {ClockSettings} settings
+     * @param {string} key
+     * @returns {"local"|"shared"}
+     */
+    getScope: function(settings, key) {
+        const field = this.fields[key];
+        return field && field.overridable && settings.localOverrides && key in settings.localOverrides ? "local" : "shared";
+    },
+
+    /**
+     * Checks a partial settings object against the schema.
+     * @param {object} settings
+     * @returns {{settings: object, errors: {key: string, message: string}[]}}
+     *     The valid values (normalized) and one error per rejected key.
+     *     Keys the schema doesn't know are rejected too.
+     */
+    validate: function(settings) {
+        const valid = {};
+        const errors = [];
+        Object.entries(settings || {}).forEach(([key, value]) => {
+            if (key === "schemaVersion") {
+                return;
+            }
+            const field = this.fields[key];
+            if (!field) {
+                errors.push({ key, message: "Unknown setting" });
+                return;
+            }
+            const normalized = field.normalize(value);
+            if (normalized === undefined) {
+                errors.push({ key, message: `Invalid value: ${JSON.stringify(value)}` });
+                return;
+            }
+            if (!this.fitsItem(key, normalized)) {
+                errors.push({ key, message: `Too large to store: ${this.getItemBytes(key, normalized)} bytes` });
+                return;
+            }
+            valid[key] = normalized;
+        });
+        return { settings: valid, errors };
+    },
+
+    /**
+     * Returns how many bytes chrome.storage.sync counts for one item: the key
+     * plus the JSON of the value.
+     * @param {string} key
+     * @param {*} value
+     * @returns {number}
+     */
+    getItemBytes: function(key, value) {
+        return new TextEncoder().encode(key + JSON.stringify(value)).length;
+    },
+
+    /**
+     * Whether a setting's value is within its field's `maxBytes`, if it has one.
+     * @param {string} key
+     * @param {*} value - Normalized.
+     * @returns {boolean}
+     */
+    fitsItem: function(key, value) {
+        const field = this.fields[key];
+        return !field || !field.maxBytes || this.getItemBytes(key, value) <= field.maxBytes;
+    },
+
+    /**
+     * Drops invalid values of known settings, keeping everything else as-is
+     * (e.g. keys written by a newer version of a companion extension).
+     * @param {object} settings
+     * @returns {object}
+     */
+    sanitize: function(settings) {
+        const result = { ...settings };
+        Object.keys(this.fields).forEach(key => {
+            if (key in result) {
+                const normalized = this.fields[key].normalize(result[key]);
+                if (normalized === undefined) {
+                    delete result[key];
+                } else {
+                    result[key] = normalized;
+                }
+            }
+        });
+        return result;
+    },
+
+    /**
+     * Runs every migration from the stored version up to the current one.
+     * @param {object} stored - Settings as read from storage.
+     * @returns {object} The migrated settings, stamped with the current schemaVersion.
+     */
+    migrate: function(stored) {
+        let settings = { ...stored };
+        let version = Number.isInteger(settings.schemaVersion) ? settings.schemaVersion : 0;
+        while (version < SETTINGS_SCHEMA_VERSION) {
+            const migration = this.migrations[version];
+            if (migration) {
+                settings = migration(settings);
+            }
+            version++;
+        }
+        settings.schemaVersion = Math.max(version, SETTINGS_SCHEMA_VERSION);
+        return settings;
+    },
+
+    /**
+     * Migrates whatever is in chrome.storage.sync to the current schema.
+     * Called from runtime.onInstalled, so it runs on install and every update.
+     */
+    migrateStoredSettings: async function() {
+        try {
+            const stored = await chrome.storage.sync.get(null);
+            const migrated = this.migrate(stored);
+            const removedKeys = Object.keys(stored).filter(key => !(key in migrated));
+            if (removedKeys.length > 0) {
+                await chrome.storage.sync.remove(removedKeys);
+            }
+            await chrome.storage.sync.set(migrated);
+            console.log(`Settings migrated to schema version ${migrated.schemaVersion}.`);
+        } catch (error) {
+            console.error("Error migrating settings:", error);
+        }
+    },
+
+    /**
+     * Loads every setting, with defaults for those not stored.
+     * @returns {Promise<ClockSettings>}
+     */
+    load: function() {
+        return chrome.storage.sync.get(this.getDefaults());
+    },
+
+    /**
+     * Builds the document written by the options page's Export button.
+     * @param {ClockSettings} settings - As stored (see load).
+     * @returns {{format: string, schemaVersion: number, exportedAt: string, settings: object}}
+     */
+    createExport: function(settings) {
+        const exported = { ...settings };
+        delete exported.schemaVersion;
+        return {
+            format: SETTINGS_EXPORT_FORMAT,
+            schemaVersion: SETTINGS_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            settings: exported,
+        };
+    },
+
+    /**
+     * Reads an exported document, migrating settings from older schema versions.
+     * @param {string} text - The file's contents.
+     * @returns {{settings: object, errors: {key: string, message: string}[]}}
+     *     The valid settings and one error per rejected key.
+     * @throws {Error} If the text isn't an export document, has no valid version
+     *     or is from a newer version.
+     */
+    parseExport: function(text) {
+        let exported;
+        try {
+            exported = JSON.parse(text);
+        } catch (error) {
+            throw new Error("The file is not valid JSON");
+        }
+        if (!exported || exported.format !== SETTINGS_EXPORT_FORMAT || !exported.settings || typeof exported.settings !== "object") {
+            throw new Error("The file is not a clock settings export");
+        }
+        if (!Number.isInteger(exported.schemaVersion) || exported.schemaVersion < 0) {
+            throw new Error("The file has no valid settings version");
+        }
+        if (exported.schemaVersion > SETTINGS_SCHEMA_VERSION) {
+            throw new Error(`Settings version ${exported.schemaVersion} is newer than this extension supports`);
+        }
+        const migrated = this.migrate({ ...exported.settings, schemaVersion: exported.schemaVersion });
+        return this.validate(migrated);
+    },
+
+    /**
+     * Loads every setting with local overrides applied.
+     * @returns {Promise<ClockSettings>}
+     */
+    loadEffective: async function() {
+        return this.resolve(await this.load());
+    },
+};
+
+/**
+ * Expands shorthand and lower-cases a hex color.
+ * @param {*} value
+ * @returns {string|undefined} "#rrggbb", or undefined if the value isn't a hex color.
+ */
+function normalizeHexColor(value) {
+    if (typeof value !== "string" || !/^#([0-9a-f]{3}){1,2}$/i.test(value)) {
+        return undefined;
+    }
+    let hex = value.slice(1).toLowerCase();
+    if (hex.length === 3) {
+        hex = hex.split("").map(char => char + char).join("");
+    }
+    return "#" + hex;
+}
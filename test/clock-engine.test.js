@@ -0,0 +1,68 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared, plain } = require("./support/load-shared");
+
+const get = loadShared(["time-utils.js", "settings-schema.js", "clock-engine.js"]);
+const ClockEngine = get("ClockEngine");
+const CLOCK_UNITS = get("CLOCK_UNITS");
+const SettingsSchema = get("SettingsSchema");
+
+// An engine for one unit, unconfigured, as the options page uses it.
+function engineFor(unitName) {
+    return Object.assign(Object.create(ClockEngine), { unit: CLOCK_UNITS[unitName] });
+}
+
+function settingsWith(overrides = {}) {
+    return { ...plain(SettingsSchema.getDefaults()), ...overrides };
+}
+
+const PARTS = { year: 2026, month: 10, day: 19, hour: 10, minute: 10, second: 42 };
+
+describe("getIcon", () => {
+    it("draws each unit's own text and alignment", () => {
+        const hours = plain(engineFor("hours").getIcon(PARTS, settingsWith(), "light"));
+        assert.equal(hours.text, "10:");
+        assert.equal(hours.style.align, "right");
+
+        const minutes = plain(engineFor("minutes").getIcon(PARTS, settingsWith(), "light"));
+        assert.equal(minutes.text, "10");
+        assert.equal(minutes.style.align, "left");
+
+        const seconds = plain(engineFor("seconds").getIcon(PARTS, settingsWith(), "light"));
+        assert.equal(seconds.text, "42");
+    });
+
+    it("centers the combined hours and minutes", () => {
+        const { text, style } = plain(engineFor("hours").getIcon(PARTS, settingsWith({ displayMode: "combined" }), "light"));
+        assert.equal(text, "10:10");
+        assert.equal(style.align, "center");
+    });
+
+    it("adds the progress ring the unit supports", () => {
+        const settings = settingsWith({ progressRing: "hour" });
+        const { style } = plain(engineFor("minutes").getIcon(PARTS, settings, "light"));
+        assert.equal(style.progress, 10);
+        assert.equal(style.progressSteps, 60);
+
+        // The hours icon has no hour ring.
+        assert.equal(plain(engineFor("hours").getIcon(PARTS, settings, "light")).style.progress, undefined);
+    });
+});
+
+describe("countdown badge", () => {
+    const settings = settingsWith({ badgeContent: "countdown", badgeTarget: 17 * 60 });
+    const badgeAt = (hour, minute) => engineFor("minutes").getBadgeText({ ...PARTS, hour, minute }, settings);
+
+    it("counts down to the target minute", () => {
+        assert.equal(badgeAt(16, 58), "2m");
+        assert.equal(badgeAt(16, 59), "1m");
+        assert.equal(badgeAt(15, 21), "99m");
+        assert.equal(badgeAt(15, 20), "1h");
+        assert.equal(badgeAt(9, 0), "8h");
+    });
+
+    it("shows 0m at the target minute and starts over after it", () => {
+        assert.equal(badgeAt(17, 0), "0m");
+        assert.equal(badgeAt(17, 1), "23h");
+    });
+});
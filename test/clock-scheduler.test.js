@@ -0,0 +1,207 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./support/load-shared");
+const { createFakeClock, createFakeStorageArea } = require("./support/fake-clock");
+
+const ClockScheduler = loadShared(["clock-scheduler.js"])("ClockScheduler");
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2026, 0, 15, 10, 0, 10);
+
+/**
+ * A scheduler for a clock that shows the current minute, with a fake clock,
+ * alarms, timers and state store.
+ * @param {object} [options]
+ * @param {function(): void} [options.duringRender] - Runs inside each render, e.g. to move time.
+ * @param {function(): boolean} [options.isTickerAlive]
+ */
+function setup({ duringRender, isTickerAlive } = {}) {
+    const clock = createFakeClock(START);
+    const stateStore = createFakeStorageArea();
+    const rendered = [];
+    const valueAt = date => String(Math.floor(date.getTime() / MINUTE));
+    const scheduler = new ClockScheduler({
+        alarmName: "update-clock-minute",
+        getState: async date => ({
+            value: valueAt(date),
+            nextBoundary: new Date((Math.floor(date.getTime() / MINUTE) + 1) * MINUTE),
+        }),
+        render: async () => {
+            const value = valueAt(clock.now());
+            rendered.push(value);
+            if (duringRender) {
+                duringRender(clock);
+            }
+            return value;
+        },
+        now: clock.now,
+        alarms: clock.alarms,
+        stateStore,
+        timers: clock.timers,
+        isTickerAlive,
+    });
+    const onAlarm = alarm => scheduler.handleAlarm(alarm);
+    return { clock, stateStore, scheduler, rendered, valueAt, onAlarm };
+}
+
+describe("ClockScheduler", () => {
+    it("renders a stale value and arms an alarm for the next boundary", async () => {
+        const { clock, scheduler, rendered, stateStore } = setup();
+        await scheduler.tick("test");
+
+        assert.equal(rendered.length, 1);
+        assert.equal(stateStore.data["update-clock-minute-lastRendered"], rendered[0]);
+        const alarm = clock.getAlarm("update-clock-minute");
+        assert.equal(alarm.scheduledTime, START - 10 * 1000 + MINUTE);
+        // 50 s away is beyond Chrome's minimum alarm delay: no fallback timer.
+        assert.equal(clock.pendingTimers(), 0);
+    });
+
+    it("does not redraw when the value is unchanged unless forced", async () => {
+        const { scheduler, rendered } = setup();
+        await scheduler.tick("first");
+        await scheduler.tick("again");
+        assert.equal(rendered.length, 1);
+
+        await scheduler.tick("settings", { force: true });
+        assert.equal(rendered.length, 2);
+    });
+
+    it("redraws when the boundary alarm fires", async () => {
+        const { clock, scheduler, rendered, valueAt, onAlarm } = setup();
+        await scheduler.tick("initialize");
+
+        clock.jump(MINUTE);
+        const fired = await clock.fireDueAlarms(onAlarm);
+        await scheduler.queue;
+
+        assert.deepEqual(fired, ["update-clock-minute"]);
+        assert.equal(rendered.length, 2);
+        assert.equal(rendered[1], valueAt(clock.now()));
+        // And the next boundary is armed again.
+        assert.ok(clock.getAlarm("update-clock-minute").scheduledTime > clock.now().getTime());
+    });
+
+    it("covers boundaries closer than the minimum alarm delay with a timer", async () => {
+        const { clock, scheduler, rendered } = setup();
+        clock.jump(40 * 1000); // 10 s before the boundary
+        await scheduler.tick("initialize");
+        assert.equal(clock.pendingTimers(), 1);
+
+        await clock.advance(10 * 1000);
+        await scheduler.queue;
+        assert.equal(rendered.length, 2);
+    });
+
+    it("replaces the fallback timer instead of stacking them", async () => {
+        const { clock, scheduler } = setup();
+        clock.jump(40 * 1000);
+        await scheduler.tick("one");
+        await scheduler.tick("two", { force: true });
+        assert.equal(clock.pendingTimers(), 1);
+    });
+
+    it("catches a boundary missed while the machine slept on wake", async () => {
+        const { clock, scheduler, rendered, valueAt } = setup();
+        await scheduler.tick("initialize");
+
+        // Three hours asleep: the boundary alarm never fired.
+        clock.jump(3 * 60 * MINUTE);
+        await scheduler.wake();
+
+        assert.equal(rendered.length, 2);
+        assert.equal(rendered[1], valueAt(clock.now()));
+        assert.ok(clock.getAlarm("update-clock-minute").scheduledTime > clock.now().getTime());
+    });
+
+    it("uses the value stored by a previous service worker on wake", async () => {
+        const first = setup();
+        await first.scheduler.tick("initialize");
+
+        // A new worker with the same storage: nothing is stale, so no redraw.
+        const { scheduler, rendered } = setup();
+        Object.assign(scheduler.stateStore.data, first.stateStore.data);
+        await scheduler.wake();
+        assert.equal(rendered.length, 0);
+    });
+
+    it("creates the watchdog alarm once", async () => {
+        const { clock, scheduler } = setup();
+        await scheduler.wake();
+        const watchdog = clock.getAlarm("update-clock-minute-watchdog");
+        assert.equal(watchdog.periodInMinutes, 1);
+
+        clock.jump(30 * 1000);
+        await scheduler.wake();
+        assert.equal(clock.getAlarm("update-clock-minute-watchdog").scheduledTime, watchdog.scheduledTime);
+    });
+
+    it("redraws from the watchdog when the boundary alarm was lost", async () => {
+        const { clock, scheduler, rendered, onAlarm } = setup();
+        await scheduler.wake();
+        // E.g. the system clock was changed and Chrome dropped the alarm.
+        await clock.alarms.clear("update-clock-minute");
+
+        clock.jump(MINUTE);
+        const fired = await clock.fireDueAlarms(onAlarm);
+        await scheduler.queue;
+
+        assert.deepEqual(fired, ["update-clock-minute-watchdog"]);
+        assert.equal(rendered.length, 2);
+        assert.ok(clock.getAlarm("update-clock-minute"));
+    });
+
+    it("redraws again when a boundary passes while drawing", async () => {
+        const { scheduler, rendered } = setup({
+            duringRender: clock => {
+                if (clock.now().getTime() < START + MINUTE) {
+                    clock.jump(MINUTE);
+                }
+            },
+        });
+        await scheduler.tick("initialize");
+        await scheduler.queue;
+        assert.equal(rendered.length, 2);
+        assert.notEqual(rendered[0], rendered[1]);
+    });
+
+    it("leaves a running ticker to drive the clock on its own", async () => {
+        let tickerAlive = false;
+        const { clock, scheduler, rendered } = setup({ isTickerAlive: () => tickerAlive });
+        clock.jump(40 * 1000);
+        await scheduler.wake();
+        assert.ok(clock.getAlarm("update-clock-minute"));
+        assert.equal(clock.pendingTimers(), 1);
+
+        // Once the ticker reports, only the watchdog is left.
+        tickerAlive = true;
+        clock.jump(20 * 1000);
+        await scheduler.tick("ticker");
+        assert.equal(rendered.length, 2);
+        assert.equal(clock.getAlarm("update-clock-minute"), undefined);
+        assert.equal(clock.pendingTimers(), 0);
+        assert.ok(clock.getAlarm("update-clock-minute-watchdog"));
+
+        await scheduler.tick("ticker");
+        assert.equal(rendered.length, 2);
+    });
+
+    it("goes back to alarms when the ticker stops", async () => {
+        let tickerAlive = true;
+        const { clock, scheduler, rendered, onAlarm } = setup({ isTickerAlive: () => tickerAlive });
+        await scheduler.wake();
+        assert.equal(clock.getAlarm("update-clock-minute"), undefined);
+
+        tickerAlive = false;
+        clock.jump(MINUTE);
+        await clock.fireDueAlarms(onAlarm);
+        await scheduler.queue;
+        assert.equal(rendered.length, 2);
+        assert.ok(clock.getAlarm("update-clock-minute"));
+    });
+
+    it("ignores alarms that belong to someone else", () => {
+        const { scheduler } = setup();
+        assert.equal(scheduler.handleAlarm({ name: "sync-outbox-retry" }), false);
+    });
+});
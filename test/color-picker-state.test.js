@@ -0,0 +1,69 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { plain } = require("./support/load-shared");
+const { createFakeBrowser } = require("./support/fake-chrome");
+
+const HOURS_ID = "egfobjkmaaifckcbenljfndfchlpjepd";
+const MINUTES_ID = "cadnmcobelogaofkidefkblnogpllhda";
+const PAGE_FILES = ["time-utils.js", "settings-schema.js", "shared-settings.js", "color-picker-state.js"];
+
+/**
+ * The hours and minutes clocks, paired, with the hours options page open.
+ */
+function setup() {
+    const browser = createFakeBrowser();
+    const [hours, minutes] = [HOURS_ID, MINUTES_ID].map(id => {
+        const extension = browser.install(id);
+        extension.get("SharedSettings").initBackgroundListener();
+        return extension;
+    });
+    const page = browser.openPage(HOURS_ID, PAGE_FILES);
+    // Lets the service worker finish syncing what the page handed over.
+    const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+    return { hours, minutes, page, settle };
+}
+
+describe("setting scopes", () => {
+    it("keeps an overridden setting to this extension", async () => {
+        const { hours, minutes, page, settle } = setup();
+        await page("saveScopedSettings")({ customColor: "#0000ff" });
+        await settle();
+        await page("saveSettingScope")(["customColor"], "local");
+        await page("saveScopedSettings")({ customColor: "#ff0000", use24HourFormat: true });
+        await settle();
+
+        const stored = plain(hours.chrome.storage.sync.data);
+        assert.deepEqual(stored.localOverrides, { customColor: "#ff0000" });
+        // The shared value, and the companion's, stay as they were.
+        assert.equal(stored.customColor, "#0000ff");
+        assert.equal(minutes.chrome.storage.sync.data.customColor, "#0000ff");
+        assert.equal(minutes.chrome.storage.sync.data.use24HourFormat, true);
+
+        const effective = plain(await page("SettingsSchema").loadEffective());
+        assert.equal(effective.customColor, "#ff0000");
+        assert.equal(effective.use24HourFormat, true);
+    });
+
+    it("falls back to the shared value when the override is cleared", async () => {
+        const { hours, page, settle } = setup();
+        await page("saveSettingScope")(["customColor"], "local");
+        await page("saveScopedSettings")({ customColor: "#ff0000" });
+        // A companion changes the shared value meanwhile.
+        await hours.chrome.storage.sync.set({ customColor: "#00ff00" });
+
+        await page("saveSettingScope")(["customColor"], "shared");
+        await settle();
+
+        assert.deepEqual(plain(hours.chrome.storage.sync.data.localOverrides), {});
+        assert.equal((await page("SettingsSchema").loadEffective()).customColor, "#00ff00");
+    });
+
+    it("can't make a setting that isn't overridable local", async () => {
+        const { hours, page } = setup();
+        await hours.chrome.storage.sync.set({ timeZone: "Asia/Tokyo" });
+        await page("saveSettingScope")(["timeZone"], "local");
+
+        assert.deepEqual(plain(hours.chrome.storage.sync.data.localOverrides), {});
+        assert.equal(page("SettingsSchema").getScope(plain(hours.chrome.storage.sync.data), "timeZone"), "shared");
+    });
+});
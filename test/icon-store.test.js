@@ -0,0 +1,40 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./support/load-shared");
+
+// Node has no ImageData; this one holds the same fields.
+class FakeImageData {
+    constructor(data, width, height) {
+        Object.assign(this, { data, width, height });
+    }
+}
+
+const IconStore = loadShared(["icon-store.js"], { ImageData: FakeImageData, btoa, atob })("IconStore");
+
+function makeIcon(size) {
+    const data = new Uint8ClampedArray(size * size * 4);
+    data.forEach((_, index) => {
+        data[index] = (index * 37) % 256;
+    });
+    return new FakeImageData(data, size, size);
+}
+
+describe("IconStore encoding", () => {
+    it("round-trips every byte of an icon set", () => {
+        const imageSet = { 16: makeIcon(16), 64: makeIcon(64) };
+        const decoded = IconStore.decodeImageSet(JSON.parse(JSON.stringify(IconStore.encodeImageSet(imageSet))));
+
+        [16, 64].forEach(size => {
+            assert.equal(decoded[size].width, size);
+            assert.equal(decoded[size].height, size);
+            assert.deepEqual(Array.from(decoded[size].data), Array.from(imageSet[size].data));
+        });
+    });
+
+    it("is much smaller as a message than an array of numbers", () => {
+        const icon = makeIcon(64);
+        const encoded = JSON.stringify(IconStore.encodeImageData(icon));
+        const asArray = JSON.stringify({ width: 64, height: 64, data: Array.from(icon.data) });
+        assert.ok(encoded.length * 2 < asArray.length);
+    });
+});
@@ -0,0 +1,176 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared, plain } = require("./support/load-shared");
+const { createFakeStorageArea } = require("./support/fake-clock");
+
+const FILES = ["time-utils.js", "settings-schema.js"];
+const quietConsole = { log() {}, warn() {}, error() {} };
+
+/**
+ * Loads the schema with a chrome.storage.sync holding `stored`.
+ */
+function setup(stored = {}) {
+    const sync = createFakeStorageArea(stored);
+    const get = loadShared(FILES, { chrome: { storage: { sync } }, console: quietConsole });
+    return { sync, SettingsSchema: get("SettingsSchema"), version: get("SETTINGS_SCHEMA_VERSION") };
+}
+
+describe("migrateStoredSettings", () => {
+    it("brings settings stored before versioning up to date", async () => {
+        // What the unversioned builds could leave behind.
+        const { sync, SettingsSchema, version } = setup({
+            customColor: "#F0A",
+            useCustomColor: "yes",
+            recentColors: ["#ABC", "#aabbcc", "red", "#000"],
+            someOtherKey: 42,
+        });
+        await SettingsSchema.migrateStoredSettings();
+
+        assert.deepEqual(plain(sync.data), {
+            customColor: "#ff00aa",
+            recentColors: ["#aabbcc", "#000000"],
+            someOtherKey: 42,
+            schemaVersion: version,
+        });
+    });
+
+    it("leaves current settings as they are", async () => {
+        const { sync, SettingsSchema, version } = setup();
+        sync.data.schemaVersion = version;
+        sync.data.customColor = "#123456";
+        await SettingsSchema.migrateStoredSettings();
+
+        assert.deepEqual(plain(sync.data), { schemaVersion: version, customColor: "#123456" });
+    });
+
+    it("keeps the version of settings written by a newer build", () => {
+        const { SettingsSchema, version } = setup();
+        assert.equal(SettingsSchema.migrate({ schemaVersion: version + 1 }).schemaVersion, version + 1);
+    });
+});
+
+describe("validate", () => {
+    it("normalizes values and trims lists to their limits", () => {
+        const { SettingsSchema } = setup();
+        const clocks = Array.from({ length: 12 }, (_, index) => ({ label: ` Clock ${index} `, timeZone: "Asia/Tokyo" }));
+        const { settings, errors } = SettingsSchema.validate({
+            schemaVersion: 1,
+            customColor: "#ABC",
+            recentColors: ["#111", "#222", "#333", "#444", "#555", "#666"],
+            worldClocks: clocks,
+            profiles: [{ id: "p1", name: "x".repeat(50), settings: { customColor: "#fff", timeZone: "UTC" } }],
+        });
+
+        assert.deepEqual(plain(errors), []);
+        assert.equal(settings.customColor, "#aabbcc");
+        assert.equal(settings.recentColors.length, 5);
+        assert.equal(settings.worldClocks.length, 10);
+        assert.deepEqual(plain(settings.worldClocks[0]), { label: "Clock 0", timeZone: "Asia/Tokyo" });
+        // Names are cut short, and settings a profile doesn't save are dropped.
+        assert.equal(settings.profiles[0].name.length, 40);
+        assert.deepEqual(plain(settings.profiles[0].settings), { customColor: "#ffffff" });
+        assert.equal("schemaVersion" in settings, false);
+    });
+
+    it("rejects invalid values and unknown keys", () => {
+        const { SettingsSchema } = setup();
+        const { settings, errors } = SettingsSchema.validate({
+            customColor: "blue",
+            progressRingWidth: 9,
+            badgeTarget: 24 * 60,
+            timeZone: "Mars/Olympus_Mons",
+            fontSize: 12,
+            use24HourFormat: true,
+        });
+
+        assert.deepEqual(plain(settings), { use24HourFormat: true });
+        assert.deepEqual(plain(errors).map(error => error.key), ["customColor", "progressRingWidth", "badgeTarget", "timeZone", "fontSize"]);
+        assert.equal(errors[4].message, "Unknown setting");
+    });
+
+    it("rejects a value too large for one sync item", () => {
+        const { SettingsSchema } = setup();
+        // Twenty profiles saving every setting, each valid on its own.
+        const defaults = SettingsSchema.getDefaults();
+        const look = {};
+        SettingsSchema.getProfileKeys().forEach(key => {
+            look[key] = defaults[key];
+        });
+        const profiles = Array.from({ length: 20 }, (_, index) => ({ id: `profile-${index}`, name: "n".repeat(40), settings: look }));
+        assert.ok(SettingsSchema.getItemBytes("profiles", profiles) > 8192);
+
+        const { settings, errors } = SettingsSchema.validate({ profiles });
+        assert.equal("profiles" in settings, false);
+        assert.match(errors[0].message, /^Too large to store: \d+ bytes$/);
+    });
+});
+
+describe("local overrides", () => {
+    it("win over the shared value of the same setting", () => {
+        const { SettingsSchema } = setup();
+        const stored = { customColor: "#ffffff", use24HourFormat: false, localOverrides: { customColor: "#ff0000" } };
+
+        assert.equal(SettingsSchema.resolve(stored).customColor, "#ff0000");
+        assert.equal(SettingsSchema.resolve(stored).use24HourFormat, false);
+        assert.equal(SettingsSchema.getScope(stored, "customColor"), "local");
+        assert.equal(SettingsSchema.getScope(stored, "use24HourFormat"), "shared");
+    });
+
+    it("are ignored for settings that can't be overridden", () => {
+        const { SettingsSchema } = setup();
+        const stored = { timeZone: "Asia/Tokyo", localOverrides: { timeZone: "Europe/Paris" } };
+
+        assert.equal(SettingsSchema.resolve(stored).timeZone, "Asia/Tokyo");
+        assert.equal(SettingsSchema.getScope(stored, "timeZone"), "shared");
+        // Nor are they kept when stored.
+        assert.deepEqual(plain(SettingsSchema.validate({ localOverrides: stored.localOverrides }).settings), { localOverrides: {} });
+    });
+});
+
+describe("export files", () => {
+    it("read back the settings they were made from", () => {
+        const { SettingsSchema, version } = setup();
+        const settings = { ...SettingsSchema.getDefaults(), customColor: "#ff0000", localOverrides: { use24HourFormat: true } };
+        const exported = SettingsSchema.createExport(settings);
+        assert.equal(exported.schemaVersion, version);
+        assert.equal("schemaVersion" in exported.settings, false);
+
+        const { settings: parsed, errors } = SettingsSchema.parseExport(JSON.stringify(exported));
+        assert.deepEqual(plain(errors), []);
+        const expected = plain(settings);
+        delete expected.schemaVersion;
+        assert.deepEqual(plain(parsed), expected);
+    });
+
+    it("migrate settings exported by an older version", () => {
+        const { SettingsSchema } = setup();
+        const text = JSON.stringify({
+            format: "chrome-clock-settings",
+            schemaVersion: 0,
+            settings: { customColor: "#F00", recentColors: ["#ABC", "nope"], useCustomColor: 1 },
+        });
+
+        // Version 0 values are normalized; what still isn't valid is dropped.
+        const { settings, errors } = SettingsSchema.parseExport(text);
+        assert.deepEqual(plain(settings), { customColor: "#ff0000", recentColors: ["#aabbcc"] });
+        assert.deepEqual(plain(errors), []);
+    });
+
+    it("refuse files that aren't settings exports", () => {
+        const { SettingsSchema } = setup();
+        assert.throws(() => SettingsSchema.parseExport("{ not json"), /not valid JSON/);
+        assert.throws(() => SettingsSchema.parseExport(JSON.stringify({ customColor: "#ff0000" })), /not a clock settings export/);
+        assert.throws(() => SettingsSchema.parseExport(JSON.stringify({ format: "other", schemaVersion: 1, settings: {} })),
+            /not a clock settings export/);
+    });
+
+    it("refuse a missing or newer settings version", () => {
+        const { SettingsSchema, version } = setup();
+        const exportWith = schemaVersion => JSON.stringify({ format: "chrome-clock-settings", schemaVersion, settings: {} });
+
+        assert.throws(() => SettingsSchema.parseExport(exportWith(undefined)), { message: "The file has no valid settings version" });
+        assert.throws(() => SettingsSchema.parseExport(exportWith("1")), { message: "The file has no valid settings version" });
+        assert.throws(() => SettingsSchema.parseExport(exportWith(version + 1)),
+            { message: `Settings version ${version + 1} is newer than this extension supports` });
+    });
+});
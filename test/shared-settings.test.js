@@ -0,0 +1,367 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { plain } = require("./support/load-shared");
+const { createFakeBrowser } = require("./support/fake-chrome");
+
+// The published IDs, so the extensions are paired with each other from the start.
+const HOURS_ID = "egfobjkmaaifckcbenljfndfchlpjepd";
+const MINUTES_ID = "cadnmcobelogaofkidefkblnogpllhda";
+
+/**
+ * Installs an extension running SharedSettings as its service worker does.
+ */
+function installClock(browser, id) {
+    const extension = browser.install(id);
+    const sharedSettings = extension.get("SharedSettings");
+    sharedSettings.RESPONSE_TIMEOUT_MS = 20;
+    sharedSettings.initBackgroundListener();
+    return { ...extension, sharedSettings };
+}
+
+async function outboxOf(extension) {
+    return plain(await extension.sharedSettings.loadOutbox());
+}
+
+describe("version negotiation", () => {
+    it("asks a companion that was slow to answer the handshake again", async () => {
+        const browser = createFakeBrowser();
+        const hours = installClock(browser, HOURS_ID);
+        const minutes = installClock(browser, MINUTES_ID);
+
+        // The minutes extension misses the first hello, as if it were still starting.
+        const listener = minutes.chrome.runtime.onMessageExternal.listeners[0];
+        let helloDropped = false;
+        minutes.chrome.runtime.onMessageExternal.listeners[0] = (message, sender, sendResponse) => {
+            if (message.type === "hello" && !helloDropped) {
+                helloDropped = true;
+                return true;
+            }
+            return listener(message, sender, sendResponse);
+        };
+
+        await hours.sharedSettings.syncSettings({ customColor: "#ff0000", fontFamily: "georgia" });
+
+        // The version 1 keys went through; the rest is queued, not dropped.
+        assert.equal(minutes.chrome.storage.sync.data.customColor, "#ff0000");
+        assert.equal(minutes.chrome.storage.sync.data.fontFamily, undefined);
+        assert.equal(hours.sharedSettings.peerVersions[MINUTES_ID], undefined);
+        const entry = (await outboxOf(hours))[MINUTES_ID];
+        assert.deepEqual(Object.keys(entry.settings), ["fontFamily"]);
+        assert.equal(entry.lastError.code, "TIMEOUT");
+        assert.equal(entry.failed, false);
+
+        await hours.sharedSettings.flushOutbox({ force: true });
+        assert.equal(minutes.chrome.storage.sync.data.fontFamily, "georgia");
+        assert.equal(hours.sharedSettings.peerVersions[MINUTES_ID], 2);
+        assert.equal((await outboxOf(hours))[MINUTES_ID], undefined);
+    });
+
+    it("reports the settings a version 1 companion can't take", async () => {
+        const browser = createFakeBrowser();
+        const hours = installClock(browser, HOURS_ID);
+        const received = [];
+        // Version 1 answers syncSettings and leaves everything else hanging.
+        browser.install(MINUTES_ID, {
+            onMessageExternal: message => {
+                if (message.action === "syncSettings") {
+                    received.push(message.settings);
+                    return { status: "Settings received" };
+                }
+                return undefined;
+            },
+        });
+
+        await hours.sharedSettings.syncSettings({ customColor: "#ff0000", fontFamily: "georgia" });
+
+        assert.deepEqual(received, [{ customColor: "#ff0000" }]);
+        assert.equal(hours.sharedSettings.peerVersions[MINUTES_ID], 1);
+        const entry = (await outboxOf(hours))[MINUTES_ID];
+        assert.deepEqual(Object.keys(entry.settings), ["fontFamily"]);
+        assert.equal(entry.lastError.code, "UNSUPPORTED_VERSION");
+        assert.equal(entry.failed, true);
+    });
+});
+
+describe("two extensions editing at once", () => {
+    /**
+     * Two paired extensions whose clocks are set by the test, so edits can be
+     * given any timestamps.
+     */
+    function setupPair() {
+        const browser = createFakeBrowser();
+        const hours = installClock(browser, HOURS_ID);
+        const minutes = installClock(browser, MINUTES_ID);
+        [hours, minutes].forEach(extension => {
+            extension.time = 1000;
+            extension.get("Date").now = () => extension.time;
+        });
+        return { hours, minutes };
+    }
+
+    // What the options page does: store the change, then tell the companions.
+    async function edit(extension, settings) {
+        await extension.chrome.storage.sync.set(settings);
+        return extension.sharedSettings.syncSettings(settings);
+    }
+
+    function syncedState(extension, keys) {
+        const settings = {};
+        keys.forEach(key => {
+            settings[key] = extension.chrome.storage.sync.data[key];
+        });
+        return { settings, meta: plain(extension.chrome.storage.local.data.syncMetadata) };
+    }
+
+    it("keeps the later of two concurrent edits on both sides", async () => {
+        const { hours, minutes } = setupPair();
+        hours.time = 1000;
+        minutes.time = 2000;
+        await Promise.all([
+            edit(hours, { customColor: "#ff0000" }),
+            edit(minutes, { customColor: "#0000ff" }),
+        ]);
+
+        assert.equal(hours.chrome.storage.sync.data.customColor, "#0000ff");
+        assert.equal(minutes.chrome.storage.sync.data.customColor, "#0000ff");
+        assert.deepEqual(syncedState(hours, ["customColor"]), syncedState(minutes, ["customColor"]));
+    });
+
+    it("settles equal timestamps the same way on both sides", async () => {
+        const { hours, minutes } = setupPair();
+        hours.time = minutes.time = 5000;
+        await Promise.all([
+            edit(hours, { customColor: "#ff0000" }),
+            edit(minutes, { customColor: "#0000ff" }),
+        ]);
+
+        // Origins break the tie; the hours ID sorts after the minutes ID.
+        assert.equal(hours.chrome.storage.sync.data.customColor, "#ff0000");
+        assert.equal(minutes.chrome.storage.sync.data.customColor, "#ff0000");
+        assert.deepEqual(syncedState(hours, ["customColor"]), syncedState(minutes, ["customColor"]));
+    });
+
+    it("merges concurrent edits of different settings", async () => {
+        const { hours, minutes } = setupPair();
+        await Promise.all([
+            edit(hours, { customColor: "#ff0000", use24HourFormat: true }),
+            edit(minutes, { fontFamily: "georgia" }),
+        ]);
+
+        const keys = ["customColor", "use24HourFormat", "fontFamily"];
+        assert.deepEqual(syncedState(hours, keys).settings, { customColor: "#ff0000", use24HourFormat: true, fontFamily: "georgia" });
+        assert.deepEqual(syncedState(hours, keys), syncedState(minutes, keys));
+    });
+
+    it("ignores its own change when a companion relays it back", async () => {
+        const { hours, minutes } = setupPair();
+        await edit(hours, { customColor: "#ff0000" });
+        const meta = plain(minutes.chrome.storage.local.data.syncMetadata);
+        assert.equal(meta.customColor.origin, HOURS_ID);
+
+        let writes = 0;
+        const set = hours.chrome.storage.sync.set;
+        hours.chrome.storage.sync.set = items => {
+            writes++;
+            return set(items);
+        };
+        const { response } = await minutes.sharedSettings.deliverSettings(HOURS_ID,
+            { customColor: "#ff0000" }, { customColor: meta.customColor });
+
+        assert.deepEqual(plain(response.applied), []);
+        assert.deepEqual(plain(response.unchanged), ["customColor"]);
+        assert.equal(writes, 0);
+    });
+});
+
+describe("pairing", () => {
+    const FIRST_ID = "a".repeat(32);
+    const SECOND_ID = "b".repeat(32);
+    const THIRD_ID = "c".repeat(32);
+
+    async function pairedIds(extension) {
+        return plain(await extension.sharedSettings.getCompanionIds());
+    }
+
+    it("pairs both sides with the code shown by the companion", async () => {
+        const browser = createFakeBrowser();
+        const first = installClock(browser, FIRST_ID);
+        const second = installClock(browser, SECOND_ID);
+
+        const { code } = await second.sharedSettings.createPairingCode();
+        assert.match(code, /^\d{6}$/);
+        assert.equal(await first.sharedSettings.pairWith(SECOND_ID, code), true);
+
+        assert.ok((await pairedIds(first)).includes(SECOND_ID));
+        assert.ok((await pairedIds(second)).includes(FIRST_ID));
+        // The code can't be used twice.
+        assert.equal(await second.sharedSettings.loadPairingCode(), null);
+    });
+
+    it("refuses a request without the right code and uses the code up", async () => {
+        const browser = createFakeBrowser();
+        const first = installClock(browser, FIRST_ID);
+        const second = installClock(browser, SECOND_ID);
+
+        await assert.rejects(first.sharedSettings.pairWith(SECOND_ID), { code: "PAIRING_REFUSED" });
+
+        const { code } = await second.sharedSettings.createPairingCode();
+        const wrong = code === "000000" ? "111111" : "000000";
+        await assert.rejects(first.sharedSettings.pairWith(SECOND_ID, wrong), { code: "PAIRING_REFUSED" });
+        await assert.rejects(first.sharedSettings.pairWith(SECOND_ID, code), { code: "PAIRING_REFUSED" });
+        assert.ok(!(await pairedIds(second)).includes(FIRST_ID));
+    });
+
+    it("refuses an expired code", async () => {
+        const browser = createFakeBrowser();
+        const first = installClock(browser, FIRST_ID);
+        const second = installClock(browser, SECOND_ID);
+
+        const { code } = await second.sharedSettings.createPairingCode();
+        const now = Date.now() + second.sharedSettings.PAIRING_CODE_TTL_MS + 1;
+        second.get("Date").now = () => now;
+        await assert.rejects(first.sharedSettings.pairWith(SECOND_ID, code), { code: "PAIRING_REFUSED" });
+    });
+
+    it("neither reveals nor takes on a companion's other pairings", async () => {
+        const browser = createFakeBrowser();
+        const first = installClock(browser, FIRST_ID);
+        const second = installClock(browser, SECOND_ID);
+        const third = installClock(browser, THIRD_ID);
+        await second.sharedSettings.addPairedExtension(THIRD_ID, "Third");
+
+        const sent = [];
+        const send = first.chrome.runtime.sendMessage;
+        first.chrome.runtime.sendMessage = (targetId, message, callback) => send(targetId, message, response => {
+            sent.push(response);
+            callback(response);
+        });
+        const { code } = await second.sharedSettings.createPairingCode();
+        await first.sharedSettings.pairWith(SECOND_ID, code);
+
+        assert.equal(sent[0].members, undefined);
+        assert.ok(!(await pairedIds(first)).includes(THIRD_ID));
+        assert.ok(!(await pairedIds(third)).includes(FIRST_ID));
+    });
+});
+
+describe("pushing settings", () => {
+    it("leaves the time zone out while this extension keeps its own", async () => {
+        const browser = createFakeBrowser();
+        const hours = installClock(browser, HOURS_ID);
+        const minutes = installClock(browser, MINUTES_ID);
+        await hours.chrome.storage.sync.set({ customColor: "#ff0000", timeZone: "Asia/Tokyo", shareTimeZone: false });
+        await minutes.chrome.storage.sync.set({ timeZone: "Europe/Paris" });
+
+        await hours.sharedSettings.pushSettings();
+
+        assert.equal(minutes.chrome.storage.sync.data.customColor, "#ff0000");
+        assert.equal(minutes.chrome.storage.sync.data.timeZone, "Europe/Paris");
+        assert.equal("timeZone" in plain(hours.chrome.storage.local.data.syncMetadata), false);
+    });
+});
+
+describe("changes made in the popup", () => {
+    it("are synced by the service worker even if the popup closes", async () => {
+        const browser = createFakeBrowser();
+        const hours = installClock(browser, HOURS_ID);
+        const minutes = installClock(browser, MINUTES_ID);
+        const popup = browser.openPage(HOURS_ID, ["settings-schema.js", "shared-settings.js", "color-picker-state.js"]);
+
+        popup("SharedSettings").syncSettings = () => assert.fail("The popup must not send to companions itself");
+
+        // The popup only waits for the hand-off; after that it may close.
+        await popup("saveScopedSettings")({ customColor: "#ff0000" });
+        await hours.sharedSettings.mergeQueue;
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        assert.equal(minutes.chrome.storage.sync.data.customColor, "#ff0000");
+        assert.equal(plain(minutes.chrome.storage.local.data.syncMetadata).customColor.origin, HOURS_ID);
+    });
+});
+
+describe("sync actions started on the options page", () => {
+    it("run in the service worker", async () => {
+        const browser = createFakeBrowser();
+        const hours = installClock(browser, HOURS_ID);
+        const minutes = installClock(browser, MINUTES_ID);
+        const page = browser.openPage(HOURS_ID, ["settings-schema.js", "shared-settings.js"])("SharedSettings");
+        page.PAGE_ACTIONS.forEach(action => {
+            page[action] = () => assert.fail(`The page must not run ${action} itself`);
+        });
+
+        await hours.chrome.storage.sync.set({ customColor: "#ff0000" });
+        await page.runFromPage("pushSettings");
+        assert.equal(minutes.chrome.storage.sync.data.customColor, "#ff0000");
+        assert.equal(plain(hours.chrome.storage.local.data.syncMetadata).customColor.origin, HOURS_ID);
+
+        await page.runFromPage("unpair", [MINUTES_ID]);
+        assert.ok(!(plain(await hours.sharedSettings.getCompanionIds())).includes(MINUTES_ID));
+    });
+
+    it("pass the service worker's errors back", async () => {
+        const browser = createFakeBrowser();
+        installClock(browser, HOURS_ID);
+        const page = browser.openPage(HOURS_ID, ["settings-schema.js", "shared-settings.js"])("SharedSettings");
+
+        await assert.rejects(page.runFromPage("pullSettings", [MINUTES_ID]), /not installed|Receiving end/i);
+        await assert.rejects(page.runFromPage("removePairedExtension", [MINUTES_ID]), /Unknown action/);
+    });
+});
+
+describe("profiles", () => {
+    // Profiles saving every setting, as "Save current look" does.
+    function makeProfiles(extension, count) {
+        const schema = extension.get("SettingsSchema");
+        const defaults = plain(schema.getDefaults());
+        const settings = {};
+        schema.getProfileKeys().forEach(key => {
+            settings[key] = defaults[key];
+        });
+        return Array.from({ length: count }, (_, index) => ({
+            id: `00000000-0000-4000-8000-${String(index).padStart(12, "0")}`,
+            name: `Profile number ${index} with a long name`,
+            settings,
+        }));
+    }
+
+    it("refuses to save more than fits in one sync item", async () => {
+        const browser = createFakeBrowser();
+        const hours = installClock(browser, HOURS_ID);
+        const page = browser.openPage(HOURS_ID, ["settings-schema.js", "shared-settings.js", "color-picker-state.js"]);
+        const saveProfiles = page("saveProfiles");
+
+        await saveProfiles(makeProfiles(hours, 5));
+        await assert.rejects(saveProfiles(makeProfiles(hours, 20)), /Profiles are full/);
+        assert.equal(plain(hours.chrome.storage.sync.data.profiles).length, 5);
+    });
+
+    it("rejects a companion's list that can't be stored instead of retrying it", async () => {
+        const browser = createFakeBrowser();
+        const hours = installClock(browser, HOURS_ID);
+        installClock(browser, MINUTES_ID);
+
+        const { response } = await hours.sharedSettings.deliverSettings(MINUTES_ID,
+            { profiles: makeProfiles(hours, 20) }, {});
+
+        assert.equal(response.ok, false);
+        assert.equal(response.error.code, "INVALID_PAYLOAD");
+        assert.match(response.error.rejected[0].message, /Too large/);
+        assert.equal((await outboxOf(hours))[MINUTES_ID].failed, true);
+
+        // Neither the retry alarm, however late, nor the companion getting in
+        // touch sends it again.
+        let deliveries = 0;
+        const deliver = browser.deliver;
+        browser.deliver = (...args) => {
+            deliveries++;
+            return deliver(...args);
+        };
+        const later = Date.now() + 24 * 60 * 60 * 1000;
+        hours.get("Date").now = () => later;
+        await hours.sharedSettings.flushOutbox();
+        await hours.sharedSettings.flushOutbox({ ids: [MINUTES_ID] });
+        assert.equal(deliveries, 0);
+        await hours.sharedSettings.scheduleOutboxRetry();
+        assert.equal(hours.chrome.alarms.created["sync-outbox-retry"], undefined);
+    });
+});
@@ -0,0 +1,135 @@
+// Just enough of the chrome.* APIs to run SharedSettings in several extensions
+// at once. Messages between them are copied, as Chrome serializes them.
+
+const { loadShared } = require("./load-shared");
+const { createFakeStorageArea } = require("./fake-clock");
+
+function createEvent() {
+    const listeners = [];
+    return {
+        listeners,
+        addListener: listener => listeners.push(listener),
+    };
+}
+
+/**
+ * A browser with any number of installed extensions that can message each other.
+ */
+function createFakeBrowser() {
+    const extensions = new Map();
+
+    const browser = {
+        extensions,
+
+        /**
+         * Installs an extension running the given shared scripts.
+         * @param {string} id - A 32-letter extension ID.
+         * @param {object} [options]
+         * @param {string} [options.name]
+         * @param {string[]} [options.files] - Scripts from shared/, in load order.
+         * @param {function(object, object): *} [options.onMessageExternal] - Replaces the
+         *     loaded scripts' own listener, e.g. to act like an old version.
+         * @returns {{id: string, chrome: object, get: function(string): *}}
+         */
+        install(id, { name = id, files = DEFAULT_FILES, onMessageExternal } = {}) {
+            const chrome = {
+                runtime: {
+                    id,
+                    lastError: undefined,
+                    getManifest: () => ({ name }),
+                    onMessage: createEvent(),
+                    onMessageExternal: createEvent(),
+                    sendMessage(targetId, message, callback) {
+                        if (typeof targetId !== "string") {
+                            return browser.deliverInternal(id, targetId);
+                        }
+                        browser.deliver(id, targetId, message, callback);
+                    },
+                },
+                storage: {
+                    local: createFakeStorageArea(),
+                    sync: createFakeStorageArea({}, 8192),
+                    session: createFakeStorageArea(),
+                    onChanged: createEvent(),
+                },
+                alarms: {
+                    created: {},
+                    create: async (alarmName, info) => {
+                        chrome.alarms.created[alarmName] = info;
+                    },
+                    clear: async alarmName => delete chrome.alarms.created[alarmName],
+                    onAlarm: createEvent(),
+                },
+            };
+            const get = loadShared(files, { chrome, console: quietConsole });
+            const extension = { id, chrome, get, paused: false, onMessageExternal };
+            extensions.set(id, extension);
+            return extension;
+        },
+
+        /**
+         * Opens an extension page (e.g. the popup) that runs the given scripts
+         * with the extension's chrome APIs, but not as its service worker.
+         * @returns {function(string): *} Looks up the page's globals.
+         */
+        openPage(id, files) {
+            return loadShared(files, { chrome: extensions.get(id).chrome, console: quietConsole });
+        },
+
+        // chrome.runtime.sendMessage(message) from a page to its own service worker.
+        deliverInternal(id, message) {
+            const { chrome } = extensions.get(id);
+            return new Promise(resolve => {
+                const incoming = copy(message);
+                chrome.runtime.onMessage.listeners.forEach(listener => {
+                    listener(incoming, { id }, response => setImmediate(() => resolve(copy(response))));
+                });
+            });
+        },
+
+        /**
+         * Calls the target's onMessageExternal listeners. An extension that isn't
+         * installed fails like Chrome does; a paused one never answers.
+         */
+        deliver(senderId, targetId, message, callback) {
+            const sender = extensions.get(senderId);
+            const target = extensions.get(targetId);
+            const reply = response => setImmediate(() => callback(copy(response)));
+            if (!target) {
+                setImmediate(() => {
+                    sender.chrome.runtime.lastError = { message: "Could not establish connection. Receiving end does not exist." };
+                    callback(undefined);
+                    sender.chrome.runtime.lastError = undefined;
+                });
+                return;
+            }
+            if (target.paused) {
+                return;
+            }
+            const incoming = copy(message);
+            if (target.onMessageExternal) {
+                const response = target.onMessageExternal(incoming, { id: senderId });
+                if (response !== undefined) {
+                    reply(response);
+                }
+                return;
+            }
+            target.chrome.runtime.onMessageExternal.listeners.forEach(listener => {
+                listener(incoming, { id: senderId }, reply);
+            });
+        },
+    };
+    return browser;
+}
+
+// What the service workers load that SharedSettings uses.
+const DEFAULT_FILES = ["time-utils.js", "settings-schema.js", "shared-settings.js"];
+
+// SharedSettings logs every message; failures are asserted on instead.
+const quietConsole = { log() {}, warn() {}, error() {} };
+
+function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { createFakeBrowser };
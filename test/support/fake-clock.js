@@ -0,0 +1,143 @@
+// A controllable clock with the timers and alarms APIs that ClockScheduler
+// accepts, so boundary scheduling can be tested without waiting.
+
+/**
+ * @param {number} start - Initial time in ms since the epoch.
+ */
+function createFakeClock(start) {
+    let now = start;
+    let nextTimerId = 1;
+    const timers = new Map();
+    const alarms = new Map();
+
+    const clock = {
+        now: () => new Date(now),
+
+        // Moves time without running anything, like a machine that was asleep.
+        jump(ms) {
+            now += ms;
+        },
+
+        /**
+         * Moves time forward, running timers in order as they come due.
+         * Alarms are not fired; see fireDueAlarms.
+         */
+        async advance(ms) {
+            const target = now + ms;
+            for (;;) {
+                const due = [...timers.entries()]
+                    .filter(([, timer]) => timer.at <= target)
+                    .sort((a, b) => a[1].at - b[1].at)[0];
+                if (!due) {
+                    break;
+                }
+                const [id, timer] = due;
+                timers.delete(id);
+                now = Math.max(now, timer.at);
+                timer.callback();
+                await clock.settle();
+            }
+            now = target;
+        },
+
+        // Lets pending promise callbacks run.
+        settle() {
+            return new Promise(resolve => setImmediate(resolve));
+        },
+
+        timers: {
+            setTimeout(callback, delay) {
+                const id = nextTimerId++;
+                timers.set(id, { at: now + Math.max(0, delay), callback });
+                return id;
+            },
+            clearTimeout(id) {
+                timers.delete(id);
+            },
+        },
+        pendingTimers: () => timers.size,
+
+        alarms: {
+            create(name, info) {
+                const when = info.when !== undefined ? info.when : now + info.periodInMinutes * 60 * 1000;
+                alarms.set(name, { name, scheduledTime: when, periodInMinutes: info.periodInMinutes });
+                return Promise.resolve();
+            },
+            get(name) {
+                return Promise.resolve(alarms.get(name));
+            },
+            clear(name) {
+                return Promise.resolve(alarms.delete(name));
+            },
+        },
+        getAlarm: name => alarms.get(name),
+        alarmCount: () => alarms.size,
+
+        /**
+         * Fires every alarm that is due, the way chrome.alarms.onAlarm would.
+         * One-shot alarms are removed; periodic ones move to their next period.
+         * @param {function({name: string}): *} listener
+         */
+        async fireDueAlarms(listener) {
+            const due = [...alarms.values()].filter(alarm => alarm.scheduledTime <= now);
+            due.forEach(alarm => {
+                if (alarm.periodInMinutes) {
+                    alarm.scheduledTime = now + alarm.periodInMinutes * 60 * 1000;
+                } else {
+                    alarms.delete(alarm.name);
+                }
+            });
+            for (const alarm of due) {
+                listener({ name: alarm.name });
+                await clock.settle();
+            }
+            return due.map(alarm => alarm.name);
+        },
+    };
+    return clock;
+}
+
+/**
+ * An in-memory stand-in for a chrome.storage area.
+ * @param {object} [initial]
+ * @param {number} [maxItemBytes] - Refuse larger items, like chrome.storage.sync.
+ */
+function createFakeStorageArea(initial = {}, maxItemBytes = Infinity) {
+    const data = structuredClone(initial);
+    return {
+        data,
+        async get(keys) {
+            if (keys === null || keys === undefined) {
+                return structuredClone(data);
+            }
+            if (typeof keys === "string") {
+                return keys in data ? { [keys]: structuredClone(data[keys]) } : {};
+            }
+            if (Array.isArray(keys)) {
+                const result = {};
+                keys.filter(key => key in data).forEach(key => {
+                    result[key] = structuredClone(data[key]);
+                });
+                return result;
+            }
+            const result = {};
+            Object.keys(keys).forEach(key => {
+                result[key] = key in data ? structuredClone(data[key]) : keys[key];
+            });
+            return result;
+        },
+        async set(items) {
+            Object.entries(items).forEach(([key, value]) => {
+                if (Buffer.byteLength(key + JSON.stringify(value)) > maxItemBytes) {
+                    throw new Error(`QUOTA_BYTES_PER_ITEM quota exceeded`);
+                }
+            });
+            Object.assign(data, structuredClone(items));
+        },
+        async remove(keys) {
+            [].concat(keys).forEach(key => delete data[key]);
+        },
+    };
+}
+
+module.exports = { createFakeClock, createFakeStorageArea };
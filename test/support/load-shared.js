@@ -0,0 +1,44 @@
+// Loads modules from shared/ the way an extension page or service worker does:
+// as classic scripts sharing one global scope. Each call gets its own context,
+// so two "extensions" can run side by side with their own chrome APIs.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const SHARED_DIR = path.join(__dirname, "..", "..", "shared");
+
+/**
+ * @param {string[]} files - Script names in shared/, in load order.
+ * @param {object} [globals] - Extra globals, e.g. a fake `chrome`.
+ * @returns {function(string): *} Looks up a top-level binding (const, class or function) by name.
+ */
+function loadShared(files, globals = {}) {
+    const context = vm.createContext({
+        console,
+        setTimeout,
+        clearTimeout,
+        structuredClone,
+        performance,
+        crypto,
+        TextEncoder,
+        ...globals,
+    });
+    // shared-settings.js checks self.importScripts to tell a service worker apart.
+    context.self = context;
+    files.forEach(file => {
+        const filename = path.join(SHARED_DIR, file);
+        vm.runInContext(fs.readFileSync(filename, "utf8"), context, { filename });
+    });
+    return name => vm.runInContext(name, context);
+}
+
+/**
+ * Copies a value out of a script context into this one, so node:assert's
+ * deepStrictEqual doesn't trip over the other context's prototypes.
+ */
+function plain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadShared, plain };
@@ -0,0 +1,107 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared, plain } = require("./support/load-shared");
+
+const get = loadShared(["time-utils.js"]);
+const getZonedTimeParts = get("getZonedTimeParts");
+const findNextChange = get("findNextChange");
+
+const MINUTE = 60 * 1000;
+// The steps the hours and minutes clocks search with (see getBoundaryStepMs).
+const HOUR_STEP = 15 * MINUTE;
+const MINUTE_STEP = MINUTE;
+
+function wallClock(iso, timeZone) {
+    const { year, month, day, hour, minute, second } = plain(getZonedTimeParts(new Date(iso), timeZone));
+    const pad = n => String(n).padStart(2, "0");
+    return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}:${pad(second)}`;
+}
+
+function nextHourChange(iso, timeZone) {
+    const hourAt = date => getZonedTimeParts(date, timeZone).hour;
+    return findNextChange(new Date(iso), hourAt, HOUR_STEP).toISOString();
+}
+
+function nextMinuteChange(iso, timeZone) {
+    const minuteAt = date => {
+        const parts = getZonedTimeParts(date, timeZone);
+        return `${parts.hour}:${parts.minute}`;
+    };
+    return findNextChange(new Date(iso), minuteAt, MINUTE_STEP).toISOString();
+}
+
+describe("America/New_York", () => {
+    const zone = "America/New_York";
+
+    it("skips 02:00-03:00 when DST starts", () => {
+        assert.equal(wallClock("2026-03-08T06:59:59Z", zone), "2026-03-08 01:59:59");
+        assert.equal(wallClock("2026-03-08T07:00:00Z", zone), "2026-03-08 03:00:00");
+        assert.equal(nextHourChange("2026-03-08T06:30:00Z", zone), "2026-03-08T07:00:00.000Z");
+        assert.equal(nextMinuteChange("2026-03-08T06:59:30Z", zone), "2026-03-08T07:00:00.000Z");
+    });
+
+    it("repeats 01:00-02:00 when DST ends", () => {
+        assert.equal(wallClock("2026-11-01T05:30:00Z", zone), "2026-11-01 01:30:00");
+        assert.equal(wallClock("2026-11-01T06:30:00Z", zone), "2026-11-01 01:30:00");
+        // The hour reads 1 for two real hours, so the next change is 02:00 EST.
+        assert.equal(nextHourChange("2026-11-01T05:30:00Z", zone), "2026-11-01T07:00:00.000Z");
+        // The minute display jumps back from 01:59 to 01:00.
+        assert.equal(nextMinuteChange("2026-11-01T05:59:30Z", zone), "2026-11-01T06:00:00.000Z");
+        assert.equal(wallClock("2026-11-01T06:00:00Z", zone), "2026-11-01 01:00:00");
+    });
+});
+
+describe("Europe/London", () => {
+    const zone = "Europe/London";
+
+    it("skips 01:00-02:00 when BST starts", () => {
+        assert.equal(wallClock("2026-03-29T00:59:59Z", zone), "2026-03-29 00:59:59");
+        assert.equal(wallClock("2026-03-29T01:00:00Z", zone), "2026-03-29 02:00:00");
+        assert.equal(nextHourChange("2026-03-29T00:15:00Z", zone), "2026-03-29T01:00:00.000Z");
+    });
+
+    it("repeats 01:00-02:00 when BST ends", () => {
+        assert.equal(wallClock("2026-10-25T00:30:00Z", zone), "2026-10-25 01:30:00");
+        assert.equal(wallClock("2026-10-25T01:30:00Z", zone), "2026-10-25 01:30:00");
+        assert.equal(nextHourChange("2026-10-25T00:30:00Z", zone), "2026-10-25T02:00:00.000Z");
+        assert.equal(nextMinuteChange("2026-10-25T00:59:30Z", zone), "2026-10-25T01:00:00.000Z");
+    });
+});
+
+describe("Australia/Lord_Howe (30-minute DST shift)", () => {
+    const zone = "Australia/Lord_Howe";
+
+    it("skips 02:00-02:30 when DST starts", () => {
+        assert.equal(wallClock("2026-10-03T15:29:59Z", zone), "2026-10-04 01:59:59");
+        assert.equal(wallClock("2026-10-03T15:30:00Z", zone), "2026-10-04 02:30:00");
+        // The hour changes half past a UTC hour, between whole-hour candidates.
+        assert.equal(nextHourChange("2026-10-03T15:00:00Z", zone), "2026-10-03T15:30:00.000Z");
+        assert.equal(nextMinuteChange("2026-10-03T15:29:30Z", zone), "2026-10-03T15:30:00.000Z");
+    });
+
+    it("repeats 01:30-02:00 when DST ends", () => {
+        assert.equal(wallClock("2026-04-04T14:45:00Z", zone), "2026-04-05 01:45:00");
+        assert.equal(wallClock("2026-04-04T15:15:00Z", zone), "2026-04-05 01:45:00");
+        // 01:00-02:00 lasts ninety real minutes.
+        assert.equal(nextHourChange("2026-04-04T14:30:00Z", zone), "2026-04-04T15:30:00.000Z");
+        assert.equal(nextMinuteChange("2026-04-04T14:59:30Z", zone), "2026-04-04T15:00:00.000Z");
+        assert.equal(wallClock("2026-04-04T15:00:00Z", zone), "2026-04-05 01:30:00");
+    });
+});
+
+describe("Asia/Kathmandu (+05:45)", () => {
+    const zone = "Asia/Kathmandu";
+
+    it("changes hour at a quarter past the UTC hour", () => {
+        assert.equal(wallClock("2026-06-01T05:15:00Z", zone), "2026-06-01 11:00:00");
+        assert.equal(nextHourChange("2026-06-01T05:00:00Z", zone), "2026-06-01T05:15:00.000Z");
+        assert.equal(nextHourChange("2026-06-01T05:15:00Z", zone), "2026-06-01T06:15:00.000Z");
+    });
+
+    it("skips 00:00-00:15 when the offset moved from +05:30 in 1986", () => {
+        assert.equal(wallClock("1985-12-31T18:29:59Z", zone), "1985-12-31 23:59:59");
+        assert.equal(wallClock("1985-12-31T18:30:00Z", zone), "1986-01-01 00:15:00");
+        assert.equal(nextHourChange("1985-12-31T18:00:00Z", zone), "1985-12-31T18:30:00.000Z");
+        assert.equal(nextMinuteChange("1985-12-31T18:29:30Z", zone), "1985-12-31T18:30:00.000Z");
+    });
+});